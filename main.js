@@ -3,10 +3,23 @@
 var fs = require("fs");
 var path = require("path");
 
+var ActionError = require("./src/action_error");
+var CommandHandler = require("./src/command_handler");
 var Config = require("./src/config");
+var FileStorageBackend = require("./src/file_storage_backend");
+var HelpCommand = require("./src/help_command");
 var Log = require("./src/log");
+var LogSinks = require("./src/log_sinks");
+var Modules = require("./src/modules");
 var Plug = require("./src/plug");
+var PlugApiTransport = require("./src/plugapi_transport");
+var RecordingTransport = require("./src/recording_transport");
+var ReplayTransport = require("./src/replay_transport");
+var SimulatedRoom = require("./src/simulated_room");
 var StateTracker = require("./src/state_tracker");
+var Storage = require("./src/storage");
+var Testing = require("./src/testing");
+var Transport = require("./src/transport");
 var Types = require("./src/types");
 var Utils = require("./src/utils");
 
@@ -14,221 +27,722 @@ var Event = Types.Event;
 
 var LOG = new Log("PlugBotBaseMain");
 
+// How long a module's file must go unchanged before it's reloaded
+var HOT_RELOAD_DELAY_IN_MILLISECONDS = 250;
+
+// How long a config file must go unchanged before configuration is reloaded
+var CONFIG_RELOAD_DELAY_IN_MILLISECONDS = 250;
+
 /**
  * Starts up the bot, registering all commands and event listeners.
  *
+ * The bot is ready once it has joined the room (signalled by the ROOM_JOIN event) and
+ * the room's initial state has been loaded. If the room isn't joined within
+ * PlugBotBase.roomJoinTimeoutInSeconds, startup fails instead; this is usually caused by
+ * an invalid room name.
+ *
+ * Readiness is reported both through the callbacks and through globalObject.ready, a
+ * Promise which resolves to the global object or rejects with the startup error. If a
+ * connectionCompleteCallback is provided without a connectionFailedCallback, a startup
+ * failure surfaces as an unhandled rejection, so that the process doesn't linger unconnected.
+ *
+ * Modules are initialized before the bot is ready, in dependency order (see _registerModules),
+ * and any Promise returned from a module's init function is waited for. To shut down cleanly,
+ * call globalObject.stop(), which destroys every module, saves the room history (see
+ * PlugBotBase.isRoomHistoryPersisted) and globalObject.storage, and disconnects from the room.
+ * It returns a Promise which resolves once all of that is done.
+ *
+ * If the process is sent SIGINT or SIGTERM instead (e.g. by Ctrl+C or a process supervisor), the
+ * room history and globalObject.storage are still saved before it exits, though modules aren't
+ * destroyed. If the application has its own listeners for those signals, it's left to them to exit.
+ *
+ * If PlugBotBase.isConfigReloadEnabled is set (along with PlugBotBase.isConfigImmutable being
+ * unset), configuration is reloaded whenever a file under config/ changes or the process receives
+ * SIGHUP, and the CONFIG_CHANGED event is dispatched with the key paths which changed.
+ *
+ * If PlugBotBase.eventRecordingFile is set, every raw event the bot receives is recorded to that
+ * file (relative to basedir), so that it can be replayed later through the replay option.
+ *
  * @param {string} basedir - The base directory containing the commands/ and event_listeners/ subdirectories
  * @param {function} connectionCompleteCallback - A function to be called once the bot has connected to the room and is ready to use
+ * @param {object} options - Optional. Supports the following keys:
+ *                           transport - a Transport for the bot to talk to the room through; defaults to
+ *                                       a PlugApiTransport which logs in with the configured credentials
+ *                           simulatedRoom - a SimulatedRoom to run the bot against instead of plug.dj; this
+ *                                           is shorthand for a PlugApiTransport wrapping the room
+ *                           connectionFailedCallback - a function to be called with an Error if the bot
+ *                                                      fails to join the room
+ *                           storageBackend - where globalObject.storage saves its data; defaults to a
+ *                                            FileStorageBackend in PlugBotBase.storageDirectory
+ *                           replay - an object of the form { filePath, speed, onComplete } which, instead of
+ *                                    connecting anywhere, replays the events recorded in the file at
+ *                                    filePath (relative to basedir); see ReplayTransport for the options
+ *                           logSinks - an array of extra sinks to write log messages to, alongside those
+ *                                      in PlugBotBase.logSinks; see log_sinks.js for what a sink looks like
  * @returns {object} The global object which contains a reference to the bot
  */
-function start(basedir, connectionCompleteCallback) {
-    var defaultConfig = require("./config/defaults.json");
+function start(basedir, connectionCompleteCallback, options) {
+    options = options || {};
+
+    // Read afresh rather than required, since the config is merged into this object and may be frozen,
+    // which would break starting again in the same process
+    var defaultConfig = JSON.parse(fs.readFileSync(path.resolve(__dirname, "config/defaults.json"), "utf8"));
     var config = Config.create(basedir, defaultConfig);
+    _configureLogging(basedir, config, options.logSinks);
 
     var globalObject = { config: config };
 
-    var bot = new Plug.Bot({
-        email: config.PlugBotBase.botEmail,
-        password: config.PlugBotBase.botPassword
-    }, globalObject);
+    var storageBackend = options.storageBackend || new FileStorageBackend(path.resolve(basedir, config.PlugBotBase.storageDirectory));
+    globalObject.storage = new Storage(storageBackend, config.PlugBotBase.storageFlushDelayInMilliseconds,
+                                       config.PlugBotBase.storageMaxFlushDelayInMilliseconds);
 
+    var transport = _createTransport(basedir, config, options);
+    var bot = new Plug.Bot(transport, globalObject);
     globalObject.bot = bot;
-    bot.connect(config.PlugBotBase.roomName);
 
-    LOG.info("Connect request sent. Waiting 5 seconds for the connection to be established.");
-    var callback = function() {
-        StateTracker.init(globalObject, function() {
-            // Connect before registering anything, because StateTracker depends on being connected
-            var commands = _registerCommands(basedir, globalObject);
-            var eventListeners = _registerEventListeners(basedir, globalObject);
+    var historySnapshotInterval = null;
+    var stopSavingOnShutdown = _saveOnShutdownSignals(globalObject);
+    var stopConfigReloading = function() {};
+    var stopModules = function() {
+        return Promise.resolve();
+    };
+
+    globalObject.stop = function() {
+        LOG.info("Stopping the bot");
+        clearInterval(historySnapshotInterval);
+        stopSavingOnShutdown();
+        stopConfigReloading();
+
+        return stopModules().then(function() {
+            return _saveState(globalObject);
+        }).then(function() {
+            bot.disconnect();
+
+            if (transport instanceof RecordingTransport) {
+                return new Promise(function(resolve) {
+                    transport.stopRecording(resolve);
+                });
+            }
+        });
+    };
+
+    globalObject.ready = new Promise(function(resolve, reject) {
+        _waitForRoomJoin(bot, config.PlugBotBase.roomJoinTimeoutInSeconds, function(error) {
+            if (error) {
+                reject(error);
+                return;
+            }
+
+            // Everything else happens outside of the bot's ROOM_JOIN handler, which would only
+            // log an error thrown from here (e.g. by storage which can't be loaded)
+            resolve();
+        });
+    }).then(function() {
+        // Connect before registering anything, because StateTracker depends on being connected
+        return new Promise(function(resolve) {
+            StateTracker.init(globalObject, resolve);
+        });
+    }).then(function() {
+        if (config.PlugBotBase.isRoomHistoryPersisted) {
+            historySnapshotInterval = setInterval(function() {
+                StateTracker.saveHistory(globalObject);
+            }, config.PlugBotBase.roomHistorySnapshotIntervalInSeconds * 1000);
+
+            // Don't keep the process alive just to take snapshots
+            historySnapshotInterval.unref();
+        }
+
+        return _registerModules(basedir, globalObject);
+    }).then(function(modules) {
+        stopModules = modules.stop;
+
+        // Hook our own event listener in to chat, for the command framework
+        bot.on(Event.CHAT_COMMAND, CommandHandler.create(modules.commands));
+
+        if (config.PlugBotBase.isConfigReloadEnabled) {
+            stopConfigReloading = _watchConfig(basedir, globalObject, options.logSinks, modules.getConfigSchemas);
+        }
 
-            // Hook our own event listener in to chat, for the command framework
-            bot.on(Event.CHAT_COMMAND, _createCommandHandler(commands));
+        return globalObject;
+    }).catch(function(error) {
+        LOG.error("Failed to start the bot: {}", error.message);
+        throw error;
+    });
 
+    if (connectionCompleteCallback || options.connectionFailedCallback) {
+        globalObject.ready.then(function() {
             if (connectionCompleteCallback) {
                 connectionCompleteCallback(globalObject);
             }
+        }, function(error) {
+            if (!options.connectionFailedCallback) {
+                throw error;
+            }
+
+            options.connectionFailedCallback(error);
         });
-    };
+    }
+
+    bot.connect(config.PlugBotBase.roomName);
+    LOG.info("Connect request sent. Waiting up to {} seconds to join the room.", config.PlugBotBase.roomJoinTimeoutInSeconds);
 
-    setTimeout(callback, 5000);
     return globalObject;
 }
 
 /**
- * Creates a handler for the CHAT_COMMAND event which will distribute
- * chat commands to the appropriate registered handlers.
+ * Saves the room history and flushes storage when the process is told to shut down, since
+ * otherwise everything since the last snapshot or flush would be lost. Once saving is done,
+ * the signal is sent again, so that the process exits as it would have; unless something
+ * else is listening for the signal, in which case it's up to that to exit.
  *
- * @param {array} commands - All of the registered command handlers
- * @returns {function} An event handler
+ * @param {object} globalObject - The global object
+ * @returns {function} A function which stops listening for the signals
  */
-function _createCommandHandler(commands) {
-    return function(commandEvent, globalObject) {
-        var commandName = commandEvent.command;
+function _saveOnShutdownSignals(globalObject) {
+    var signals = ["SIGINT", "SIGTERM"];
+
+    var removeListeners = function() {
+        signals.forEach(function(signal) {
+            process.removeListener(signal, onSignal);
+        });
+    };
+
+    var onSignal = function(signal) {
+        LOG.info("Received {}. Saving room history and storage before exiting.", signal);
+        removeListeners();
+
+        _saveState(globalObject).then(function() {
+            if (process.listenerCount(signal) === 0) {
+                process.kill(process.pid, signal);
+            }
+        });
+    };
+
+    signals.forEach(function(signal) {
+        process.on(signal, onSignal);
+    });
+
+    return removeListeners;
+}
 
-        if (!globalObject.config.PlugBotBase.areCommandsCaseSensitive) {
-            commandName = commandName.toLowerCase();
+/**
+ * Saves the room history and flushes storage. Failures are logged rather than passed on,
+ * since they shouldn't stop the bot from shutting down.
+ *
+ * @param {object} globalObject - The global object
+ * @returns {Promise} A promise which resolves once everything which can be saved is saved
+ */
+function _saveState(globalObject) {
+    try {
+        StateTracker.saveHistory(globalObject);
+    }
+    catch (e) {
+        LOG.error("Failed to save the room history. Error: {}", e.message);
+    }
+
+    return globalObject.storage.flush().catch(function(e) {
+        LOG.error("Failed to save storage. Error: {}", e.message);
+    });
+}
+
+/**
+ * Applies the configured log levels and sinks to every logger.
+ *
+ * @param {string} basedir - The base directory, which relative log file paths are resolved against
+ * @param {object} config - The application configuration
+ * @param {array} extraSinks - Optional. Sinks to write to in addition to the configured ones
+ */
+function _configureLogging(basedir, config, extraSinks) {
+    var sinks = config.PlugBotBase.logSinks.map(function(sinkConfig) {
+        return LogSinks.create(sinkConfig, basedir);
+    }).concat(extraSinks || []);
+
+    Log.configure({
+        level: config.PlugBotBase.logLevel,
+        levelsByLogger: config.PlugBotBase.logLevelsByLogger,
+        sinks: sinks
+    });
+}
+
+/**
+ * Reloads configuration whenever a file under config/ changes, or the process receives SIGHUP.
+ * If the new configuration is invalid, the current configuration is kept. Otherwise, log settings
+ * are reapplied if they changed, and the CONFIG_CHANGED event is dispatched.
+ *
+ * @param {string} basedir - The base directory, containing the config directory
+ * @param {object} globalObject - The global object
+ * @param {array} extraSinks - Optional. The extra log sinks passed to start()
+ * @param {function} getConfigSchemas - Returns the config schemas of the running modules, to validate against
+ * @returns {function} A function which stops reloading configuration
+ */
+function _watchConfig(basedir, globalObject, extraSinks, getConfigSchemas) {
+    if (globalObject.config.PlugBotBase.isConfigImmutable) {
+        LOG.warn("PlugBotBase.isConfigReloadEnabled is set, but configuration can't be reloaded while PlugBotBase.isConfigImmutable is also set");
+        return function() {};
+    }
+
+    var reload = function() {
+        var changedKeys;
+        try {
+            changedKeys = Config.reload(basedir, globalObject.config, getConfigSchemas());
+        }
+        catch (e) {
+            LOG.error("Failed to reload configuration, so the current configuration has been kept. Error: {}", e.message);
+            return;
+        }
+
+        if (changedKeys.length === 0) {
+            LOG.info("Reloaded configuration, but nothing has changed");
+            return;
+        }
+
+        var haveLogSettingsChanged = changedKeys.some(function(key) {
+            return /^PlugBotBase\.(logLevel|logLevelsByLogger|logSinks)(\.|$)/.test(key);
+        });
+
+        if (haveLogSettingsChanged) {
+            try {
+                _configureLogging(basedir, globalObject.config, extraSinks);
+            }
+            catch (e) {
+                LOG.error("Failed to apply the new log settings. Error: {}", e.message);
+            }
         }
 
-        for (var i = 0; i < commands.length; i++) {
-            var command = commands[i];
+        globalObject.bot._onConfigChanged(changedKeys);
+    };
+
+    // Watching isn't essential, since SIGHUP still works without it, so a failure doesn't stop the bot starting
+    var watcher = null;
+    try {
+        watcher = Utils.watchDirectory(path.resolve(basedir, "config"), CONFIG_RELOAD_DELAY_IN_MILLISECONDS, reload);
+    }
+    catch (e) {
+        LOG.error("Unable to watch the config directory for changes; configuration will only be reloaded on SIGHUP. Error: {}", e.message);
+    }
+
+    process.on("SIGHUP", reload);
+
+    return function() {
+        if (watcher) {
+            watcher.close();
+        }
+
+        process.removeListener("SIGHUP", reload);
+    };
+}
+
+/**
+ * Waits for the bot to join the room, as signalled by the ROOM_JOIN event. If the room
+ * isn't joined in time, the bot is disconnected, so that it doesn't carry on trying.
+ *
+ * @param {object} bot - An instance of PlugBotBase.Bot which has not yet been connected
+ * @param {number} timeoutInSeconds - How long to wait before giving up
+ * @param {function} callback - Called once, with no arguments when the room is joined, or with an Error on timeout
+ */
+function _waitForRoomJoin(bot, timeoutInSeconds, callback) {
+    var subscription = null;
+
+    var timeout = setTimeout(function() {
+        bot.off(subscription);
+        callback(new Error("Timed out after " + timeoutInSeconds + " seconds waiting to join the room. " +
+                           "Check that PlugBotBase.roomName is the unique portion of the room's URL."));
+
+        // If the socket never opened, PlugAPI throws on being closed
+        try {
+            bot.disconnect();
+        }
+        catch (e) {
+            LOG.warn("Failed to disconnect after timing out waiting to join the room. Error: {}", e.message);
+        }
+    }, timeoutInSeconds * 1000);
+
+    subscription = bot.once(Event.ROOM_JOIN, function(event) {
+        clearTimeout(timeout);
+        LOG.info("Joined room {}", event.roomName);
+        callback();
+    });
+}
+
+/**
+ * Determines which transport the bot should use, based on the options passed to start(),
+ * and wraps it in a RecordingTransport if PlugBotBase.eventRecordingFile is set.
+ *
+ * @param {string} basedir - The base directory, which relative file paths are resolved against
+ * @param {object} config - The application configuration
+ * @param {object} options - The options passed to start()
+ * @returns {object} A Transport instance
+ */
+function _createTransport(basedir, config, options) {
+    var transport;
+
+    if (options.transport) {
+        transport = options.transport;
+    }
+    else if (options.replay) {
+        transport = new ReplayTransport(path.resolve(basedir, options.replay.filePath), options.replay);
+    }
+    else if (options.simulatedRoom) {
+        transport = new PlugApiTransport(null, options.simulatedRoom);
+    }
+    else {
+        transport = new PlugApiTransport({
+            email: config.PlugBotBase.botEmail,
+            password: config.PlugBotBase.botPassword
+        });
+    }
+
+    if (config.PlugBotBase.eventRecordingFile) {
+        transport = new RecordingTransport(transport, path.resolve(basedir, config.PlugBotBase.eventRecordingFile));
+    }
+
+    return transport;
+}
 
-            if (command.triggers.indexOf(commandName) >= 0) {
-                if (command.minimumRole && commandEvent.userRole.level < command.minimumRole.level) {
-                    // user doesn't have sufficient permissions; notify the command module if possible
-                    if (command.insufficientPermissionsHandler) {
-                        command.insufficientPermissionsHandler.call(command.context, commandEvent, globalObject);
-                    }
+/**
+ * Loads, orders and initializes every command and event listener module.
+ *
+ * A module's init function may return a Promise, which is waited for before the next
+ * module is initialized. Modules can also export dependsOn, an array naming modules
+ * which must be initialized first. A module's name is its file's path under commands/
+ * or event_listeners/, without the .js extension, e.g. "database" or "fun/roll".
+ *
+ * A module's handlers are only registered once its init has completed. If any module fails
+ * to initialize, those which already have are destroyed again and the startup fails.
+ *
+ * If PlugBotBase.isHotReloadEnabled is set, the module directories which exist are watched
+ * afterwards, and modules are reloaded as their files change. If watching fails, the modules
+ * are destroyed again and the startup fails, as when a module fails to initialize.
+ *
+ * @param {string} basedir - The base directory which holds the commands and event_listeners directories
+ * @param {object} globalObject - The global object
+ * @returns {Promise} A promise which resolves to an object containing the array of registered commands,
+ *                    a getConfigSchemas function which returns the configSchema of each running module
+ *                    (as objects of the form { schema, owner }), and a stop function which destroys every
+ *                    module, returning a Promise
+ */
+function _registerModules(basedir, globalObject) {
+    var commands = [];
+    var moduleTypes = [
+        Modules.createCommandModuleType(globalObject, commands, path.resolve(basedir, "commands")),
+        Modules.createEventListenerModuleType(globalObject, path.resolve(basedir, "event_listeners"))
+    ];
+
+    // Every module which is currently running, in the order they were initialized
+    var startedEntries = [];
+    var watchers = [];
+
+    return new Promise(function(resolve) {
+        var entries = [];
+        for (var i = 0; i < moduleTypes.length; i++) {
+            entries = entries.concat(_loadModules(moduleTypes[i]));
+        }
 
+        resolve(_orderByDependencies(entries));
+    }).then(function(entries) {
+        return entries.reduce(function(promise, entry) {
+            return promise.then(function() {
+                return Modules.startModule(entry, globalObject);
+            }).then(function() {
+                startedEntries.push(entry);
+                LOG.info("Registered {} from file {}", entry.type.name, entry.filePath);
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        _registerHelpCommand(commands, globalObject);
+
+        if (globalObject.config.PlugBotBase.isHotReloadEnabled) {
+            for (var i = 0; i < moduleTypes.length; i++) {
+                if (!fs.existsSync(moduleTypes[i].directory)) {
+                    LOG.info("Not watching for {} modules, since {} doesn't exist", moduleTypes[i].name, moduleTypes[i].directory);
                     continue;
                 }
 
-                command.handler.call(command.context, commandEvent, globalObject);
+                watchers.push(_watchModules(moduleTypes[i], startedEntries, globalObject));
             }
         }
-    };
+
+        return {
+            commands: commands,
+            getConfigSchemas: function() {
+                return startedEntries.filter(function(entry) {
+                    return entry.module.configSchema;
+                }).map(function(entry) {
+                    return { schema: entry.module.configSchema, owner: entry.filePath };
+                });
+            },
+            stop: function() {
+                for (var i = 0; i < watchers.length; i++) {
+                    watchers[i].close();
+                }
+
+                return Modules.destroyModules(startedEntries.splice(0).reverse(), globalObject);
+            }
+        };
+    }).catch(function(error) {
+        // Whether a module failed to start or watching for changes failed, don't leave anything running
+        for (var i = 0; i < watchers.length; i++) {
+            watchers[i].close();
+        }
+
+        return Modules.destroyModules(startedEntries.splice(0).reverse(), globalObject).then(function() {
+            throw error;
+        });
+    });
 }
 
 /**
- * Registers all of the eligible files from the commands
- * directory as commands with the bot.
+ * Loads all of the eligible files from a module directory, without initializing them.
  *
- * @param {string} basedir - The base directory which holds the commands directory
- * @param {object} bot - An instance of PlugBotBase.Bot
+ * @param {object} moduleType - The type of module in the directory
+ * @returns {array} An entry for each module, containing its filePath, name, type and module, along
+ *                  with anything else the type's load function adds
  */
-function _registerCommands(basedir, globalObject) {
-    var commandsDir = path.resolve(basedir, "commands");
-
+function _loadModules(moduleType) {
     var files;
     try {
-        files = Utils.getAllFilePathsUnderDirectory(commandsDir);
-        LOG.info("Found the following potential command files: {}", files);
+        files = Utils.getAllFilePathsUnderDirectory(moduleType.directory);
+        LOG.info("Found the following potential {} files: {}", moduleType.name, files);
     }
     catch (e) {
-        LOG.error("Unable to register commands from the base directory '{}'. Error: {}", commandsDir, e);
-        return;
+        LOG.error("Unable to register {}s from the directory '{}'. Error: {}", moduleType.name, moduleType.directory, e);
+        return [];
     }
 
-    var commands = [];
+    var entries = [];
     for (var i = 0; i < files.length; i++) {
-        var filePath = files[i];
-        if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
-            LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        if (!_isJavaScriptFile(files[i])) {
+            LOG.info("File {} doesn't appear to be a JS module. Ignoring.", files[i]);
             continue;
         }
 
-        var module = require(filePath);
-
-        if (!module.triggers || !module.handler) {
-            LOG.warn("Found a module at {} but it doesn't appear to be a command handler. Ignoring.", filePath);
-            continue;
+        var entry = _loadModule(moduleType, files[i]);
+        if (entry) {
+            entries.push(entry);
         }
+    }
 
-        if (typeof module.init === "function") {
-            module.init(globalObject);
-        }
+    return entries;
+}
 
-        commands.push(module);
-        LOG.info("Registered command from file {}", filePath);
+function _loadModule(moduleType, filePath) {
+    var entry = moduleType.load(require(filePath), filePath);
+    if (!entry) {
+        return null;
     }
 
-    return commands;
+    entry.filePath = filePath;
+    entry.name = path.relative(moduleType.directory, filePath).replace(/\\/g, "/").replace(/\.js$/, "");
+    entry.type = moduleType;
+
+    return entry;
 }
 
 /**
- * Registers all of the eligible files from the event_listeners
- * directory as event listeners with the bot.
+ * Registers the built-in !help command, unless it's disabled through PlugBotBase.isHelpCommandEnabled
+ * or a command module already handles !help. Also warns about any configured command aliases which
+ * didn't match a command, now that every command is known.
  *
- * @param {string} basedir - The base directory which holds the event_listeners directory
- * @param {object} bot - An instance of PlugBotBase.Bot
+ * @param {array} commands - The registered commands
+ * @param {object} globalObject - The global object
  */
-function _registerEventListeners(basedir, globalObject) {
-    var bot = globalObject.bot;
-    var eventListenerDir = path.resolve(basedir, "event_listeners");
+function _registerHelpCommand(commands, globalObject) {
+    var config = globalObject.config.PlugBotBase;
 
-    var files;
-    try {
-        files = Utils.getAllFilePathsUnderDirectory(eventListenerDir);
-        LOG.info("Found the following potential event listener files: {}", files);
+    if (config.isHelpCommandEnabled) {
+        if (commands.some(function(command) { return command.triggers.indexOf("help") >= 0; })) {
+            LOG.info("A command module already handles !help, so the built-in help command won't be registered");
+        }
+        else {
+            var helpCommand = HelpCommand.create(commands);
+            Modules.addCommandAliases(helpCommand, config.commandAliases);
+            commands.push(helpCommand);
+            LOG.info("Registered the built-in help command");
+        }
     }
-    catch (e) {
-        LOG.error("Unable to register event listeners from the base directory '{}'. Error: {}", eventListenerDir, e);
-        return;
+
+    for (var trigger in config.commandAliases) {
+        if (!commands.some(function(command) { return command.triggers.indexOf(trigger) >= 0; })) {
+            LOG.warn("Aliases are configured for the command '{}', but there's no command with that trigger", trigger);
+        }
     }
+}
 
-    var listeners = [];
-    for (var i = 0; i < files.length; i++) {
-        var filePath = files[i];
-        if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
-            LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
-            continue;
+/**
+ * Sorts module entries so that every module comes after the modules named in its dependsOn.
+ * Otherwise, modules stay in the order they were loaded.
+ *
+ * @param {array} entries - The module entries, as loaded by _loadModules
+ * @returns {array} The same entries, in the order they should be initialized
+ */
+function _orderByDependencies(entries) {
+    var entriesByName = {};
+    for (var i = 0; i < entries.length; i++) {
+        entriesByName[entries[i].name] = (entriesByName[entries[i].name] || []).concat(entries[i]);
+    }
+
+    var ordered = [];
+    var visiting = [];
+
+    var visit = function(entry) {
+        if (ordered.indexOf(entry) >= 0) {
+            return;
         }
 
-        var module = require(filePath);
-
-        /* Check each event key and look for an export in one of two forms:
-         *
-         * 1) EVENT_KEY : some_function
-         * 2) EVENT_KEY : { handler: some_function, context: some_object }
-         *
-         * Context is optional even in the second form, but a function is always required.
-         */
-        var eventHandlerFound = false;
-        for (var eventKey in Event) {
-            var eventValue = Event[eventKey];
-            var eventHandler = null;
-            var handlerContext = null;
-            var error = null;
-
-            if (!module[eventValue]) {
-                continue;
-            }
+        if (visiting.indexOf(entry) >= 0) {
+            var cycle = visiting.slice(visiting.indexOf(entry)).concat(entry).map(function(cycleEntry) {
+                return cycleEntry.name;
+            });
 
-            if (typeof module[eventValue] === "function") {
-                eventHandler = module[eventValue];
-            }
-            else if (typeof module[eventValue] === "object") {
-                if (typeof module[eventValue].handler !== "function") {
-                    LOG.error("An error occurred while reading event listener from file {}", filePath);
-                    LOG.error("Event listener for event '{}' has an object type, but the 'handler' property does not refer to a function", eventKey);
-                    throw new Error("An error occurred while initializing event listeners. Check your logfile (or just stdout) for more details.");
-                }
+            throw new Error("Modules have a circular dependency: " + cycle.join(" -> "));
+        }
 
-                eventHandler = module[eventValue].handler;
-                handlerContext = module[eventValue].context;
-            }
-            else {
-                LOG.warn("Found what looks like an event listener, but it's not an object or a function. Event: {}, from file: {}", eventKey, filePath);
-                continue;
+        visiting.push(entry);
+
+        var dependencies = entry.module.dependsOn || [];
+        for (var j = 0; j < dependencies.length; j++) {
+            if (!entriesByName[dependencies[j]]) {
+                throw new Error("The module '" + entry.name + "' depends on '" + dependencies[j] + "', but there's no module by that name");
             }
 
-            eventHandlerFound = true;
-            bot.on(eventValue, eventHandler, handlerContext);
+            entriesByName[dependencies[j]].forEach(visit);
         }
 
-        if (!eventHandlerFound) {
-            LOG.warn("Found a module at {} but it doesn't appear to be an event handler. Ignoring.", filePath);
-            continue;
+        visiting.pop();
+        ordered.push(entry);
+    };
+
+    entries.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Watches a module directory, reloading each module when its file changes. New files
+ * are loaded, and modules whose files are deleted are unregistered. Modules which depend
+ * on a reloaded module aren't reloaded themselves.
+ *
+ * A reload happens in this order: the new version is loaded and checked, the old version is
+ * unregistered and destroyed, then the new version is initialized and registered. If the new
+ * version can't be loaded or fails to initialize, the old version is started again.
+ *
+ * @param {object} moduleType - The type of module in the directory
+ * @param {array} startedEntries - Every running module entry; kept up to date by reloads
+ * @param {object} globalObject - The global object
+ * @returns {object} The directory watcher, which can be closed to stop watching
+ */
+function _watchModules(moduleType, startedEntries, globalObject) {
+    LOG.info("Watching {} for changes to {} modules", moduleType.directory, moduleType.name);
+
+    // Reloads are queued, so that a module is never reloaded while another reload is in progress
+    var reloadQueue = Promise.resolve();
+
+    return Utils.watchDirectory(moduleType.directory, HOT_RELOAD_DELAY_IN_MILLISECONDS, function(filePath) {
+        if (_isJavaScriptFile(filePath)) {
+            reloadQueue = reloadQueue.then(function() {
+                return _reloadModule(moduleType, filePath, startedEntries, globalObject);
+            });
         }
+    });
+}
 
-        if (typeof module.init === "function") {
-            LOG.info("Calling init for module at {}", filePath);
-            module.init(globalObject);
+function _reloadModule(moduleType, filePath, startedEntries, globalObject) {
+    var oldEntry = null;
+    for (var i = 0; i < startedEntries.length; i++) {
+        if (startedEntries[i].filePath === filePath) {
+            oldEntry = startedEntries[i];
         }
+    }
+
+    var oldCacheEntry = require.cache[filePath];
+    var isDeleted = !fs.existsSync(filePath);
+    var newEntry = null;
 
-        listeners.push(module);
-        LOG.info("Registered event listener from file {}", filePath);
+    if (!isDeleted) {
+        delete require.cache[filePath];
+
+        try {
+            newEntry = _loadModule(moduleType, filePath);
+        }
+        catch (e) {
+            LOG.error("Failed to reload {} from file {}. Error: {}", moduleType.name, filePath, e.message);
+        }
+
+        if (!newEntry) {
+            if (oldCacheEntry) {
+                require.cache[filePath] = oldCacheEntry;
+            }
+
+            if (oldEntry) {
+                LOG.warn("Keeping the previous version of the {} from file {}", moduleType.name, filePath);
+            }
+
+            return;
+        }
     }
 
-    return listeners;
+    var stopPromise = Promise.resolve();
+    if (oldEntry) {
+        startedEntries.splice(startedEntries.indexOf(oldEntry), 1);
+        stopPromise = Modules.stopModule(oldEntry, globalObject);
+    }
+
+    return stopPromise.then(function() {
+        if (isDeleted) {
+            delete require.cache[filePath];
+
+            if (oldEntry) {
+                LOG.info("Unregistered {} from deleted file {}", moduleType.name, filePath);
+            }
+
+            return;
+        }
+
+        return Modules.startModule(newEntry, globalObject).then(function() {
+            startedEntries.push(newEntry);
+            LOG.info("{} {} from file {}", oldEntry ? "Reloaded" : "Registered new", moduleType.name, filePath);
+        }, function(e) {
+            LOG.error("Failed to initialize the reloaded {} from file {}. Error: {}", moduleType.name, filePath, e.message);
+
+            if (!oldEntry) {
+                return;
+            }
+
+            LOG.warn("Keeping the previous version of the {} from file {}", moduleType.name, filePath);
+            require.cache[filePath] = oldCacheEntry;
+
+            return Modules.startModule(oldEntry, globalObject).then(function() {
+                startedEntries.push(oldEntry);
+            }, function(e) {
+                LOG.error("Failed to restart the previous version of the {} from file {}. Error: {}", moduleType.name, filePath, e.message);
+            });
+        });
+    });
+}
+
+function _isJavaScriptFile(filePath) {
+    return filePath.lastIndexOf(".js") === filePath.length - 3;
 }
 
+exports.ActionError = ActionError;
+exports.ActionFailureReason = Types.ActionFailureReason;
+exports.ArgumentType = Types.ArgumentType;
 exports.BanDuration = Types.BanDuration;
 exports.BanReason = Types.BanReason;
 exports.Bot = Plug.Bot;
+exports.ChatPriority = Types.ChatPriority;
 exports.ChatType = Types.ChatType;
 exports.Event = Types.Event;
+exports.FileStorageBackend = FileStorageBackend;
 exports.Log = Log;
+exports.LogSinks = LogSinks;
+exports.MuteDuration = Types.MuteDuration;
 exports.MuteReason = Types.MuteReason;
+exports.PlugApiTransport = PlugApiTransport;
+exports.RecordingTransport = RecordingTransport;
+exports.ReplayTransport = ReplayTransport;
+exports.SimulatedRoom = SimulatedRoom;
+exports.Storage = Storage;
+exports.Transport = Transport;
 exports.UserRole = Types.UserRole;
 exports.start = start;
+exports.testing = Testing;
@@ -0,0 +1,26 @@
+"use strict";
+
+var util = require("util");
+
+/**
+ * The error which Bot actions reject with when they fail. The reason property
+ * holds a value from the ActionFailureReason enum, so that callers can tell
+ * users why an action didn't work without having to parse the message.
+ *
+ * @param {string} action - The name of the Bot method which failed, e.g. "forceSkip"
+ * @param {string} reason - Why the action failed, from the ActionFailureReason enum
+ * @param {string} message - A human-readable description of the failure
+ */
+function ActionError(action, reason, message) {
+    Error.call(this);
+    Error.captureStackTrace(this, ActionError);
+
+    this.name = "ActionError";
+    this.action = action;
+    this.reason = reason;
+    this.message = message;
+}
+
+util.inherits(ActionError, Error);
+
+module.exports = ActionError;
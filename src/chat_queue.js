@@ -0,0 +1,250 @@
+"use strict";
+
+/**
+ * A rate-limited queue for the bot's outgoing chat. plug.dj drops messages from
+ * users who chat too quickly, which is easy for a bot to do when several listeners
+ * respond to the same event, so all chat is funneled through here instead of being
+ * sent immediately.
+ *
+ * Rate limiting uses a token bucket: up to burstSize messages can be sent back to back,
+ * after which one more message may be sent every intervalInMilliseconds. Messages with
+ * a higher priority are always sent before those with a lower one, and messages which are
+ * too long for chat are split into several, preferably at word boundaries.
+ *
+ * plug.dj echoes the bot's own chat back to it like anyone else's, which is how the queue
+ * knows that a message was delivered: the Bot passes each echo to confirmDelivery.
+ */
+
+var ActionError = require("./action_error");
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("PlugBotBase-ChatQueue");
+
+// From highest priority to lowest
+var PRIORITY_ORDER = [
+    Types.ChatPriority.HIGH,
+    Types.ChatPriority.NORMAL,
+    Types.ChatPriority.LOW
+];
+
+/**
+ * Creates a new chat queue.
+ *
+ * @param {object} transport - The Transport to send chat through
+ * @param {object} options - Contains the following keys:
+ *                           burstSize - how many messages can be sent back to back
+ *                           intervalInMilliseconds - how often another message can be sent once the burst is used up
+ *                           maxMessageLength - the longest message which can be sent in one piece
+ *                           deliveryTimeoutInMilliseconds - how long after sending a message its echo is waited for
+ *                           isConnected - a function which returns whether messages can currently be sent
+ */
+function ChatQueue(transport, options) {
+    this._transport = transport;
+    this._burstSize = options.burstSize;
+    this._intervalInMilliseconds = options.intervalInMilliseconds;
+    this._maxMessageLength = options.maxMessageLength;
+    this._deliveryTimeoutInMilliseconds = options.deliveryTimeoutInMilliseconds;
+    this._isConnected = options.isConnected;
+
+    this._availableTokens = options.burstSize;
+    this._refillTimeout = null;
+
+    this._queues = {};
+    for (var i = 0; i < PRIORITY_ORDER.length; i++) {
+        this._queues[PRIORITY_ORDER[i]] = [];
+    }
+
+    // Messages which have been sent but not yet seen in the room, oldest first
+    this._awaitingDelivery = [];
+}
+
+/**
+ * Adds a message to the queue, splitting it up first if needed, and sends as much
+ * of the queue as the rate limit currently allows.
+ *
+ * @param {string} message - The fully formatted message to send
+ * @param {string} priority - A value from the ChatPriority enum
+ * @returns {Promise} A promise which resolves once every part of the message has been seen in the
+ *                    room, to an object with the deliveryDate (the UNIX timestamp at which the last
+ *                    part was seen) and the parts the message was split into. Rejects with an
+ *                    ActionError if any part isn't seen within the delivery timeout of being sent.
+ */
+ChatQueue.prototype.enqueue = function(message, priority) {
+    var parts = splitMessage(message, this._maxMessageLength);
+    var queue = this._queues[priority];
+
+    var promise = new Promise(function(resolve, reject) {
+        var undeliveredParts = parts.length;
+
+        for (var i = 0; i < parts.length; i++) {
+            queue.push({
+                message: parts[i],
+                onDelivered: function(deliveryDate) {
+                    undeliveredParts--;
+
+                    if (undeliveredParts === 0) {
+                        resolve({
+                            deliveryDate: deliveryDate,
+                            parts: parts
+                        });
+                    }
+                },
+                onFailed: reject
+            });
+        }
+    });
+
+    // Most chat is sent without waiting on the result, so a message which is never seen mustn't
+    // become an unhandled rejection; it's logged instead
+    promise.catch(function() {});
+
+    this.drain();
+    return promise;
+};
+
+/**
+ * Marks the oldest message awaiting delivery which matches the given echo as delivered.
+ *
+ * @param {string} echoedMessage - A chat message from the bot, as it appeared in the room
+ */
+ChatQueue.prototype.confirmDelivery = function(echoedMessage) {
+    for (var i = 0; i < this._awaitingDelivery.length; i++) {
+        var entry = this._awaitingDelivery[i];
+
+        if (_isEchoOf(entry.message, echoedMessage)) {
+            this._awaitingDelivery.splice(i, 1);
+            clearTimeout(entry.deliveryTimeout);
+            entry.onDelivered(Date.now());
+            return;
+        }
+    }
+};
+
+/**
+ * Sends queued messages for as long as the rate limit allows, then schedules the
+ * next attempt if anything is left. Nothing is sent while disconnected; the Bot
+ * calls this again once the connection is back.
+ */
+ChatQueue.prototype.drain = function() {
+    if (!this._isConnected()) {
+        return;
+    }
+
+    var entry;
+    while (this._availableTokens > 0 && (entry = this._dequeue())) {
+        this._availableTokens--;
+        this._awaitDelivery(entry);
+        this._transport.sendChat(entry.message);
+    }
+
+    this._scheduleRefill();
+};
+
+/**
+ * @returns {integer} How many messages are waiting to be sent
+ */
+ChatQueue.prototype.size = function() {
+    var size = 0;
+    for (var i = 0; i < PRIORITY_ORDER.length; i++) {
+        size += this._queues[PRIORITY_ORDER[i]].length;
+    }
+
+    return size;
+};
+
+ChatQueue.prototype._dequeue = function() {
+    for (var i = 0; i < PRIORITY_ORDER.length; i++) {
+        var queue = this._queues[PRIORITY_ORDER[i]];
+        if (queue.length > 0) {
+            return queue.shift();
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Waits for a message which is about to be sent to be echoed back, failing it if that
+ * takes longer than the delivery timeout.
+ */
+ChatQueue.prototype._awaitDelivery = function(entry) {
+    var awaitingDelivery = this._awaitingDelivery;
+    var timeoutInMilliseconds = this._deliveryTimeoutInMilliseconds;
+
+    awaitingDelivery.push(entry);
+
+    entry.deliveryTimeout = setTimeout(function() {
+        awaitingDelivery.splice(awaitingDelivery.indexOf(entry), 1);
+
+        LOG.warn("The chat message '{}' wasn't seen in the room within {} ms of being sent", entry.message, timeoutInMilliseconds);
+        entry.onFailed(new ActionError("sendChat", Types.ActionFailureReason.TIMEOUT,
+                                       "The message wasn't seen in the room within " + timeoutInMilliseconds + " ms of being sent"));
+    }, timeoutInMilliseconds);
+
+    // A message which is never delivered shouldn't keep the process alive
+    entry.deliveryTimeout.unref();
+};
+
+/**
+ * Starts refilling the token bucket, unless it's already full or a refill is pending.
+ * The timer only runs while there's something to refill, so an idle queue doesn't
+ * keep the process alive.
+ */
+ChatQueue.prototype._scheduleRefill = function() {
+    if (this._refillTimeout || this._availableTokens >= this._burstSize) {
+        return;
+    }
+
+    var self = this;
+    this._refillTimeout = setTimeout(function() {
+        self._refillTimeout = null;
+        self._availableTokens++;
+        self.drain();
+    }, this._intervalInMilliseconds);
+};
+
+/**
+ * Splits a message into parts no longer than the maximum length. Splits happen at
+ * whitespace where possible; words which are too long on their own are broken up.
+ *
+ * @param {string} message - The message to split
+ * @param {integer} maxLength - The maximum length of each part
+ * @returns {array} The parts of the message, in order
+ */
+function splitMessage(message, maxLength) {
+    var parts = [];
+    var remaining = message.trim();
+
+    while (remaining.length > maxLength) {
+        var splitIndex = remaining.lastIndexOf(" ", maxLength);
+
+        if (splitIndex <= 0) {
+            splitIndex = maxLength;
+        }
+
+        parts.push(remaining.substr(0, splitIndex).trim());
+        remaining = remaining.substr(splitIndex).trim();
+    }
+
+    parts.push(remaining);
+    return parts;
+}
+
+/**
+ * Checks whether a chat message from the bot is the echo of a message it sent. plug.dj escapes
+ * HTML in chat, and emotes come back without their "/me" or "/em" prefix.
+ */
+function _isEchoOf(sentMessage, echoedMessage) {
+    var unescapedMessage = echoedMessage.replace(/&lt;/g, "<")
+                                        .replace(/&gt;/g, ">")
+                                        .replace(/&quot;/g, "\"")
+                                        .replace(/&#39;/g, "'")
+                                        .replace(/&amp;/g, "&");
+
+    return unescapedMessage === sentMessage || unescapedMessage === sentMessage.replace(/^\/(me|em)\s+/, "");
+}
+
+ChatQueue.splitMessage = splitMessage;
+
+module.exports = ChatQueue;
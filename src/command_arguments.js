@@ -0,0 +1,204 @@
+"use strict";
+
+/**
+ * Parses and validates command arguments according to a schema declared by the
+ * command module. A schema is an array describing each argument in order:
+ *
+ * @example
+ * exports.arguments = [
+ *     { name: "target", type: ArgumentType.USER },
+ *     { name: "duration", type: ArgumentType.DURATION, required: false },
+ *     { name: "reason", type: ArgumentType.REST, required: false }
+ * ];
+ *
+ * Arguments are required unless "required: false" is given, and optional arguments
+ * can't be followed by required ones. A REST argument swallows the rest of the line,
+ * so it can only come last.
+ */
+
+var Types = require("./types");
+var Utils = require("./utils");
+
+var ArgumentType = Types.ArgumentType;
+
+var DURATION_UNITS_IN_SECONDS = {
+    s: 1,
+    m: 60,
+    h: 60 * 60,
+    d: 24 * 60 * 60
+};
+
+/**
+ * Checks that an argument schema is well formed. Throws an error describing
+ * the problem if it isn't.
+ *
+ * @param {array} schema - The schema exported by a command module
+ */
+function validateSchema(schema) {
+    if (!Array.isArray(schema)) {
+        throw new Error("Command arguments must be declared as an array");
+    }
+
+    var hasOptionalArgument = false;
+    for (var i = 0; i < schema.length; i++) {
+        var argument = schema[i];
+
+        Utils.checkNotEmpty(argument.name, "Command argument " + i + " has no name");
+        Utils.checkValueIsInObject(argument.type, ArgumentType, "Command argument '" + argument.name + "' has an invalid type: " + argument.type);
+
+        if (argument.type === ArgumentType.REST && i !== schema.length - 1) {
+            throw new Error("Command argument '" + argument.name + "' takes the rest of the line, so it must be the last argument");
+        }
+
+        if (argument.required === false) {
+            hasOptionalArgument = true;
+        }
+        else if (hasOptionalArgument) {
+            throw new Error("Required command argument '" + argument.name + "' can't come after an optional argument");
+        }
+    }
+}
+
+/**
+ * Parses raw command arguments according to a schema.
+ *
+ * @param {array} schema - A valid argument schema
+ * @param {array} args - The raw, whitespace-split arguments from the CHAT_COMMAND event
+ * @param {object} roomState - The room state maintained by the StateTracker, for resolving users
+ * @returns {object} Either { values: {...} }, mapping each argument name to its parsed value (or
+ *                   null for missing optional arguments), or { error: "..." } describing why parsing failed
+ */
+function parse(schema, args, roomState) {
+    var values = {};
+    var index = 0;
+
+    for (var i = 0; i < schema.length; i++) {
+        var argument = schema[i];
+
+        if (index >= args.length) {
+            if (argument.required !== false) {
+                return { error: "Missing argument: " + argument.name };
+            }
+
+            values[argument.name] = null;
+            continue;
+        }
+
+        var result;
+        switch (argument.type) {
+            case ArgumentType.DURATION:
+                result = _parseDuration(args[index]);
+                index++;
+                break;
+            case ArgumentType.INT:
+                result = _parseInt(args[index]);
+                index++;
+                break;
+            case ArgumentType.REST:
+                result = { value: args.slice(index).join(" ") };
+                index = args.length;
+                break;
+            case ArgumentType.STRING:
+                result = { value: args[index] };
+                index++;
+                break;
+            case ArgumentType.USER:
+                result = _parseUser(args, index, roomState);
+                index += result.tokensUsed || 0;
+                break;
+        }
+
+        if (result.error) {
+            return { error: "Invalid " + argument.name + ": " + result.error };
+        }
+
+        values[argument.name] = result.value;
+    }
+
+    if (index < args.length) {
+        return { error: "Too many arguments" };
+    }
+
+    return { values: values };
+}
+
+/**
+ * Creates a usage string for a command, e.g. "!ban <target> [duration] [reason...]".
+ *
+ * @param {string} trigger - The trigger to show, including any prefix
+ * @param {array} schema - A valid argument schema
+ * @returns {string} The usage string
+ */
+function formatUsage(trigger, schema) {
+    var usage = trigger;
+
+    for (var i = 0; i < schema.length; i++) {
+        var argument = schema[i];
+        var name = argument.name + (argument.type === ArgumentType.REST ? "..." : "");
+        usage += argument.required === false ? " [" + name + "]" : " <" + name + ">";
+    }
+
+    return usage;
+}
+
+/**
+ * Parses a duration such as "90", "30s", "5m", "2h", "1d" or "1h30m" into seconds.
+ * Plain numbers are taken to be minutes, since that's what people usually mean.
+ */
+function _parseDuration(string) {
+    if (/^\d+$/.test(string)) {
+        return { value: parseInt(string, 10) * DURATION_UNITS_IN_SECONDS.m };
+    }
+
+    var pattern = /(\d+)([smhd])/gi;
+    var totalSeconds = 0;
+    var matchedLength = 0;
+    var match;
+
+    while ((match = pattern.exec(string)) !== null) {
+        totalSeconds += parseInt(match[1], 10) * DURATION_UNITS_IN_SECONDS[match[2].toLowerCase()];
+        matchedLength += match[0].length;
+    }
+
+    if (matchedLength === 0 || matchedLength !== string.length) {
+        return { error: "'" + string + "' is not a duration (try something like 30s, 5m, 2h or 1d)" };
+    }
+
+    return { value: totalSeconds };
+}
+
+function _parseInt(string) {
+    if (!/^-?\d+$/.test(string)) {
+        return { error: "'" + string + "' is not a whole number" };
+    }
+
+    return { value: parseInt(string, 10) };
+}
+
+/**
+ * Resolves a username to a user in the room. Since usernames can contain spaces, this
+ * tries the longest run of arguments which matches someone's name first. A leading "@"
+ * is optional, and names are matched case-insensitively.
+ */
+function _parseUser(args, index, roomState) {
+    var firstToken = args[index].replace(/^@/, "");
+    var users = roomState ? roomState.usersInRoom : [];
+
+    for (var tokenCount = args.length - index; tokenCount > 0; tokenCount--) {
+        var username = [firstToken].concat(args.slice(index + 1, index + tokenCount)).join(" ").toLowerCase();
+
+        for (var i = 0; i < users.length; i++) {
+            if (users[i].username.toLowerCase() === username) {
+                return { value: users[i], tokensUsed: tokenCount };
+            }
+        }
+    }
+
+    return { error: "nobody named '" + firstToken + "' is in the room" };
+}
+
+module.exports = {
+    formatUsage: formatUsage,
+    parse: parse,
+    validateSchema: validateSchema
+};
@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Routes CHAT_COMMAND events to the command modules whose triggers they match,
+ * enforcing each command's minimum role, cooldown and argument schema on the way.
+ */
+
+var CommandArguments = require("./command_arguments");
+var Cooldowns = require("./cooldowns");
+var Types = require("./types");
+
+/**
+ * Creates a handler for the CHAT_COMMAND event which will distribute
+ * chat commands to the appropriate registered handlers.
+ *
+ * If a command declares an arguments schema, the command's arguments are parsed
+ * before its handler is called, and the handler receives the parsed values as
+ * commandEvent.parsedArgs. If parsing fails, the user is sent a usage message and
+ * the handler is never called.
+ *
+ * Cooldowns declared by commands are enforced here too. A command which is still
+ * cooling down isn't called; instead its cooldownHandler, if it has one, is called
+ * with the number of seconds remaining. Only successful uses start a cooldown.
+ *
+ * Each command's functions are guarded like any other event handler (see Bot.on), so a
+ * command which throws doesn't stop other commands from working, and a command which keeps
+ * failing can be disabled on its own.
+ *
+ * @param {array} commands - All of the registered command handlers
+ * @returns {function} An event handler
+ */
+function create(commands) {
+    var cooldowns = new Cooldowns();
+
+    // Entries of the form { command, handler }, where handler is what's passed to Bot._callHandler
+    var handlerEntries = [];
+    var findHandler = function(command) {
+        for (var i = 0; i < handlerEntries.length; i++) {
+            if (handlerEntries[i].command === command) {
+                return handlerEntries[i].handler;
+            }
+        }
+
+        var handler = {
+            callback: function(commandFunction, args) {
+                commandFunction.apply(command.context, args);
+            },
+            context: null,
+            source: "the command !" + command.triggers[0]
+        };
+
+        handlerEntries.push({ command: command, handler: handler });
+        return handler;
+    };
+
+    var callCommand = function(command, commandFunction, args, globalObject) {
+        return globalObject.bot._callHandler(findHandler(command), Types.Event.CHAT_COMMAND, [commandFunction, args]);
+    };
+
+    return function(commandEvent, globalObject) {
+        var commandName = commandEvent.command;
+
+        if (!globalObject.config.PlugBotBase.areCommandsCaseSensitive) {
+            commandName = commandName.toLowerCase();
+        }
+
+        for (var i = 0; i < commands.length; i++) {
+            var command = commands[i];
+
+            if (command.triggers.indexOf(commandName) >= 0) {
+                if (findHandler(command).isDisabled) {
+                    continue;
+                }
+
+                if (command.minimumRole && commandEvent.userRole.level < command.minimumRole.level) {
+                    // user doesn't have sufficient permissions; notify the command module if possible
+                    if (command.insufficientPermissionsHandler) {
+                        callCommand(command, command.insufficientPermissionsHandler, [commandEvent, globalObject], globalObject);
+                    }
+
+                    continue;
+                }
+
+                var secondsRemaining = cooldowns.getSecondsRemaining(command, commandEvent);
+                if (secondsRemaining > 0) {
+                    // command is cooling down; notify the command module if possible
+                    if (command.cooldownHandler) {
+                        callCommand(command, command.cooldownHandler, [commandEvent, globalObject, secondsRemaining], globalObject);
+                    }
+
+                    continue;
+                }
+
+                if (command.arguments) {
+                    var parseResult = CommandArguments.parse(command.arguments, commandEvent.args, globalObject.roomState);
+
+                    if (parseResult.error) {
+                        globalObject.bot.sendChat("@{} {}. Usage: {}", commandEvent.username, parseResult.error,
+                                                  CommandArguments.formatUsage(commandEvent.prefix + commandEvent.command, command.arguments));
+                        continue;
+                    }
+
+                    commandEvent.parsedArgs = parseResult.values;
+                }
+
+                cooldowns.recordUse(command, commandEvent);
+                callCommand(command, command.handler, [commandEvent, globalObject], globalObject);
+            }
+        }
+    };
+}
+
+exports.create = create;
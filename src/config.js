@@ -3,6 +3,7 @@
 var fs = require("fs");
 var path = require("path");
 
+var ConfigSchema = require("./config_schema");
 var Log = require("./log");
 var Utils = require("./utils");
 
@@ -14,19 +15,50 @@ var REQUIRED_CONFIG_VARIABLES = [
     "roomName"
 ];
 
+// Environment variables starting with this override config, e.g. PLUGBOTBASE__PlugBotBase__botPassword
+var ENVIRONMENT_VARIABLE_PREFIX = "PLUGBOTBASE__";
+var ENVIRONMENT_VARIABLE_SEPARATOR = "__";
+
+// Command-line flags starting with this override config, e.g. --config.PlugBotBase.roomName=my-room
+var COMMAND_LINE_FLAG_PREFIX = "--config.";
+
+// Values for keys matching this are never logged
+var SECRET_KEY_PATTERN = /password|secret|token|apikey|credential/i;
+
 /**
  * Initializes the application's configuration by reading from
  * a config file defined in NPM configuration.
  *
+ * Any key can then be overridden by environment variables and command-line flags, which
+ * take precedence over the files in that order (so a flag beats an environment variable,
+ * which beats a file). Each level of the key's path is separated by a double underscore
+ * in environment variables and by a period in flags:
+ *
+ *     PLUGBOTBASE__PlugBotBase__botPassword=hunter2
+ *     --config.PlugBotBase.roomName=my-room (or --config.PlugBotBase.roomName my-room)
+ *
+ * Overriding values are converted to the type of the value they replace, so "30" becomes
+ * a number when overriding a number and "false" becomes a boolean when overriding a boolean;
+ * objects and arrays are given as JSON. Where each value came from is logged, except for
+ * the values of secrets such as passwords.
+ *
  * @param {string} basedir - The base directory of the bot, containing a "config" subdirectory
  * @param {object} defaults - An optional object containing default configuration.
+ * @param {object} overrideSources - Optional. Contains the keys env (defaulting to process.env) and
+ *                                   argv (defaulting to process.argv without the node and script paths)
  * @returns {object} An object representing configuration
  */
-function create(basedir, defaults) {
+function create(basedir, defaults, overrideSources) {
     LOG.info("Initializing application configuration");
     var config = defaults || {};
+    var valueSources = {};
+    overrideSources = overrideSources || {};
 
-    _loadConfigurationFiles(basedir, config);
+    _recordValueSources(config, [], "defaults", valueSources);
+    _loadConfigurationFiles(basedir, config, valueSources);
+    _applyEnvironmentOverrides(config, overrideSources.env || process.env, valueSources);
+    _applyCommandLineOverrides(config, overrideSources.argv || process.argv.slice(2), valueSources);
+    _logValueSources(config, valueSources);
     _validateConfig(config);
 
     if (config.PlugBotBase.isConfigImmutable) {
@@ -40,14 +72,81 @@ function create(basedir, defaults) {
     return config;
 }
 
+/**
+ * Reads the config files (and environment variable and command-line overrides) again,
+ * merging them into the existing config object in the same way they were merged when
+ * it was created. Keys which have been removed from the files keep their current values.
+ *
+ * Nothing is changed unless the new configuration passes validation against the
+ * PlugBotBase schema and any additional schemas given; otherwise an error is thrown.
+ *
+ * @param {string} basedir - The base directory of the bot, containing a "config" subdirectory
+ * @param {object} config - The config object returned by create, which must not be frozen
+ * @param {array} additionalSchemas - Optional. Objects of the form { schema, owner } to validate
+ *                                    against as well, such as the configSchema of each module
+ * @param {object} overrideSources - Optional. As for create
+ * @returns {array} The key paths of every value which changed, e.g. ["ChatFilter.bannedWords"]; arrays
+ *                  are replaced whole, so a changed array is reported by its own key path
+ */
+function reload(basedir, config, additionalSchemas, overrideSources) {
+    LOG.info("Reloading application configuration");
+    var newConfig = JSON.parse(JSON.stringify(config));
+    var valueSources = {};
+    overrideSources = overrideSources || {};
+
+    _loadConfigurationFiles(basedir, newConfig, valueSources);
+    _applyEnvironmentOverrides(newConfig, overrideSources.env || process.env, valueSources);
+    _applyCommandLineOverrides(newConfig, overrideSources.argv || process.argv.slice(2), valueSources);
+    _validateConfig(newConfig);
+
+    (additionalSchemas || []).forEach(function(additionalSchema) {
+        checkAgainstSchema(newConfig, additionalSchema.schema, additionalSchema.owner);
+    });
+
+    var changedKeys = [];
+    _forEachChangedValue(config, newConfig, [], function(keyPath, value) {
+        var keyPathString = keyPath.join(".");
+        changedKeys.push(keyPathString);
+
+        // An array's values are recorded by index, so look for the source of its first value if need be
+        var source = valueSources[keyPathString] || valueSources[keyPathString + ".0"] || "an unknown source";
+        LOG.info("Config value {} changed to {} (from {})", keyPathString, _isSecret(keyPath) ? "[redacted]" : JSON.stringify(value), source);
+    });
+
+    _mergeConfig(config, newConfig);
+    return changedKeys;
+}
+
+/**
+ * Validates config against a schema, logging a warning for each unknown key.
+ * If any values break the schema, throws an error listing all of them.
+ *
+ * @param {object} config - The config object to validate
+ * @param {object} schema - The schema to validate against (see config_schema.js)
+ * @param {string} owner - Optional. What the schema belongs to, e.g. a module's file path, for messages
+ */
+function checkAgainstSchema(config, schema, owner) {
+    var result = ConfigSchema.validate(config, schema);
+    var suffix = owner ? " (config schema from " + owner + ")" : "";
+
+    for (var i = 0; i < result.warnings.length; i++) {
+        LOG.warn("{}{}", result.warnings[i], suffix);
+    }
+
+    if (result.errors.length > 0) {
+        throw new Error("Invalid configuration" + suffix + ":\n    " + result.errors.join("\n    "));
+    }
+}
+
 /**
  * Loads configuration out of the config/ subdirectory. All .json files found
  * under config/ or any of its subdirectories will be loaded into configuration.
  *
  * @param {string} baseDir - The directory to find config/ under
  * @param {object} config - The current config object
+ * @param {object} valueSources - A map of key paths to where their values came from
  */
-function _loadConfigurationFiles(basedir, config) {
+function _loadConfigurationFiles(basedir, config, valueSources) {
     var configDirPath = path.resolve(basedir, "config");
 
     var files;
@@ -68,7 +167,7 @@ function _loadConfigurationFiles(basedir, config) {
             continue;
         }
 
-        _copyConfigFromFile(filePath, config);
+        _copyConfigFromFile(filePath, config, valueSources);
     }
 }
 
@@ -77,16 +176,291 @@ function _loadConfigurationFiles(basedir, config) {
  *
  * @param {string} filePath - The path to the file to load
  * @params {object} config - The current config object
+ * @param {object} valueSources - A map of key paths to where their values came from
  */
-function _copyConfigFromFile(filePath, config) {
+function _copyConfigFromFile(filePath, config, valueSources) {
     LOG.info("Attempting to load configuration file '{}'", filePath);
 
-    var fileConfig = require(filePath);
+    // Read directly rather than through require, which would cache the file and so break reloading
+    var fileConfig;
+    try {
+        fileConfig = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    }
+    catch (e) {
+        throw new Error("Unable to read configuration file '" + filePath + "': " + e.message);
+    }
+
     _mergeConfig(config, fileConfig);
+    _recordValueSources(fileConfig, [], "file " + filePath, valueSources);
 
     LOG.info("Successfully read configuration file '{}'", filePath);
 }
 
+/**
+ * Applies overrides from environment variables starting with PLUGBOTBASE__.
+ *
+ * @param {object} config - The current config object
+ * @param {object} env - The environment variables to read from
+ * @param {object} valueSources - A map of key paths to where their values came from
+ */
+function _applyEnvironmentOverrides(config, env, valueSources) {
+    var names = Object.keys(env).sort();
+
+    for (var i = 0; i < names.length; i++) {
+        var name = names[i];
+        if (name.indexOf(ENVIRONMENT_VARIABLE_PREFIX) !== 0) {
+            continue;
+        }
+
+        var keyPath = name.substring(ENVIRONMENT_VARIABLE_PREFIX.length).split(ENVIRONMENT_VARIABLE_SEPARATOR);
+        _applyOverride(config, keyPath, env[name], "environment variable " + name, valueSources);
+    }
+}
+
+/**
+ * Applies overrides from command-line flags starting with --config., given either
+ * as "--config.Some.key=value" or as "--config.Some.key value".
+ *
+ * @param {object} config - The current config object
+ * @param {array} argv - The command-line arguments to read from
+ * @param {object} valueSources - A map of key paths to where their values came from
+ */
+function _applyCommandLineOverrides(config, argv, valueSources) {
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        if (arg.indexOf(COMMAND_LINE_FLAG_PREFIX) !== 0) {
+            continue;
+        }
+
+        var flag = arg;
+        var value;
+        var separatorIndex = arg.indexOf("=");
+
+        if (separatorIndex >= 0) {
+            flag = arg.substring(0, separatorIndex);
+            value = arg.substring(separatorIndex + 1);
+        }
+        else if (i + 1 < argv.length) {
+            value = argv[++i];
+        }
+        else {
+            throw new Error("No value was given for the command-line flag " + arg);
+        }
+
+        var keyPath = flag.substring(COMMAND_LINE_FLAG_PREFIX.length).split(".");
+        _applyOverride(config, keyPath, value, "command-line flag " + flag, valueSources);
+    }
+}
+
+/**
+ * Sets a single value in config, converting it from a string to the type of the value it replaces,
+ * or to the type the schema gives for it if there's nothing to replace.
+ *
+ * @param {object} config - The current config object
+ * @param {array} keyPath - The keys leading to the value, e.g. ["PlugBotBase", "botPassword"]
+ * @param {string} rawValue - The value as given
+ * @param {string} source - A description of where the value came from
+ * @param {object} valueSources - A map of key paths to where their values came from
+ */
+function _applyOverride(config, keyPath, rawValue, source, valueSources) {
+    if (keyPath.some(function(key) { return !key; })) {
+        throw new Error("The config key given by " + source + " is invalid; it has an empty part");
+    }
+
+    var parent = config;
+    for (var i = 0; i < keyPath.length - 1; i++) {
+        var key = keyPath[i];
+
+        if (typeof parent[key] === "undefined") {
+            parent[key] = {};
+        }
+        else if (!parent[key] || typeof parent[key] !== "object") {
+            throw new Error("Can't apply " + source + " because " + keyPath.slice(0, i + 1).join(".") + " isn't an object");
+        }
+
+        parent = parent[key];
+    }
+
+    var lastKey = keyPath[keyPath.length - 1];
+    parent[lastKey] = _coerceValue(rawValue, parent[lastKey], _findSchemaRule(keyPath), source);
+
+    _forgetValueSources(keyPath, valueSources);
+    _recordValueSources(parent[lastKey], keyPath, source, valueSources);
+}
+
+/**
+ * Converts an overriding value from a string to the type of the value it replaces. If
+ * there's no value being replaced, the type comes from the PlugBotBase schema instead; and
+ * if the schema doesn't cover the key either, the value is left as a string.
+ *
+ * @param {string} rawValue - The value as given
+ * @param {mixed} currentValue - The value being replaced, if any
+ * @param {object} rule - The schema rule for the value, if any (see config_schema.js)
+ * @param {string} source - A description of where the value came from, for error messages
+ * @returns {mixed} The converted value
+ */
+function _coerceValue(rawValue, currentValue, rule, source) {
+    switch (_getCoercionType(currentValue, rule)) {
+        case "string":
+            return rawValue;
+        case "number":
+            var number = Number(rawValue);
+            if (rawValue.trim() === "" || isNaN(number)) {
+                throw new Error("The value of " + source + " must be a number, but was '" + rawValue + "'");
+            }
+
+            return number;
+        case "boolean":
+            if (rawValue.toLowerCase() === "true" || rawValue.toLowerCase() === "false") {
+                return rawValue.toLowerCase() === "true";
+            }
+
+            throw new Error("The value of " + source + " must be true or false, but was '" + rawValue + "'");
+        case "object":
+            var parsedValue;
+            try {
+                parsedValue = JSON.parse(rawValue);
+            }
+            catch (e) {
+                throw new Error("The value of " + source + " must be JSON, but couldn't be parsed: " + e.message);
+            }
+
+            if (!parsedValue || typeof parsedValue !== "object") {
+                throw new Error("The value of " + source + " must be a JSON object or array, but was '" + rawValue + "'");
+            }
+
+            return parsedValue;
+    }
+
+    return rawValue;
+}
+
+/**
+ * Works out which type an overriding value should be converted to: "boolean", "number",
+ * "object" (for objects and arrays, given as JSON) or "string".
+ */
+function _getCoercionType(currentValue, rule) {
+    if (typeof currentValue !== "undefined" && currentValue !== null) {
+        return typeof currentValue;
+    }
+
+    var types = rule ? [].concat(rule.type || []) : [];
+    if (types.length === 0 || types.indexOf("string") >= 0) {
+        return "string";
+    }
+
+    switch (types[0]) {
+        case "array":
+        case "object":
+            return "object";
+        case "integer":
+            return "number";
+        default:
+            return types[0];
+    }
+}
+
+/**
+ * Finds the rule in the PlugBotBase schema for a key path, e.g. ["PlugBotBase", "logSinks", "0", "type"].
+ *
+ * @returns {object} The rule, or null if the schema doesn't cover the key
+ */
+function _findSchemaRule(keyPath) {
+    var section = ConfigSchema.PLUG_BOT_BASE_SCHEMA[keyPath[0]];
+    var rule = section && keyPath.length > 1 ? section[keyPath[1]] : null;
+
+    for (var i = 2; rule && i < keyPath.length; i++) {
+        if (rule.properties) {
+            rule = rule.properties[keyPath[i]];
+        }
+        else {
+            rule = rule.items || rule.additionalProperties;
+        }
+    }
+
+    return rule || null;
+}
+
+/**
+ * Records where every value within an object came from. A value which isn't an
+ * object is recorded under the key path itself.
+ *
+ * @param {mixed} value - The value which came from the source
+ * @param {array} keyPath - The keys leading to the value
+ * @param {string} source - A description of where the value came from
+ * @param {object} valueSources - A map of key paths to where their values came from
+ */
+function _recordValueSources(value, keyPath, source, valueSources) {
+    _forEachValue(value, keyPath, function(valueKeyPath) {
+        valueSources[valueKeyPath.join(".")] = source;
+    });
+}
+
+/**
+ * Calls the callback with the key path and value of everything within an object which isn't itself an object.
+ */
+function _forEachValue(value, keyPath, callback) {
+    if (value && typeof value === "object") {
+        for (var key in value) {
+            _forEachValue(value[key], keyPath.concat(key), callback);
+        }
+    }
+    else {
+        callback(keyPath, value);
+    }
+}
+
+/**
+ * Removes the recorded sources of a value and anything within it, because it's being replaced.
+ */
+function _forgetValueSources(keyPath, valueSources) {
+    var keyPathString = keyPath.join(".");
+
+    for (var recordedKeyPath in valueSources) {
+        if (recordedKeyPath === keyPathString || recordedKeyPath.indexOf(keyPathString + ".") === 0) {
+            delete valueSources[recordedKeyPath];
+        }
+    }
+}
+
+/**
+ * Logs where each value in config came from, redacting secrets. Values which weren't
+ * changed from their defaults are only logged at the DEBUG level.
+ *
+ * @param {object} config - The final config object
+ * @param {object} valueSources - A map of key paths to where their values came from
+ */
+function _logValueSources(config, valueSources) {
+    var lines = [];
+    _forEachValue(config, [], function(keyPath, value) {
+        lines.push({
+            keyPath: keyPath.join("."),
+            value: _isSecret(keyPath) ? "[redacted]" : JSON.stringify(value)
+        });
+    });
+
+    lines.sort(function(a, b) {
+        return a.keyPath < b.keyPath ? -1 : (a.keyPath > b.keyPath ? 1 : 0);
+    });
+
+    for (var i = 0; i < lines.length; i++) {
+        var source = valueSources[lines[i].keyPath] || "an unknown source";
+
+        if (source === "defaults") {
+            LOG.debug("Config value {} is {} (from {})", lines[i].keyPath, lines[i].value, source);
+        }
+        else {
+            LOG.info("Config value {} is {} (from {})", lines[i].keyPath, lines[i].value, source);
+        }
+    }
+}
+
+function _isSecret(keyPath) {
+    return keyPath.some(function(key) {
+        return SECRET_KEY_PATTERN.test(key);
+    });
+}
+
 /**
  * Freezes the configuration object and makes it immutable. This is a deep
  * method; all subobjects will also be immutable.
@@ -105,14 +479,15 @@ function _freezeConfig(config) {
 
 /**
  * Merges the 'override' object into the 'base' object. Scalar values which exist in
- * both places are overridden, while object values are merged recursively.
+ * both places are overridden, while object values are merged recursively. Arrays are
+ * replaced whole, so that overriding a list can make it shorter.
  *
  * @param {object} base - The base object to merge into
  * @param {object} override - An object containing overriding values to merge from
  */
 function _mergeConfig(base, override) {
     for (var key in override) {
-        if (base[key] && typeof base[key] === "object" && typeof override[key] === "object") {
+        if (_isMergeableObject(base[key]) && _isMergeableObject(override[key])) {
             _mergeConfig(base[key], override[key]);
         }
         else {
@@ -121,9 +496,35 @@ function _mergeConfig(base, override) {
     }
 }
 
+function _isMergeableObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Finds the key paths of every value in newValue which differs from the corresponding
+ * value in oldValue. Objects are compared key by key, but since arrays are replaced whole
+ * when merging, a changed array is reported by its own key path.
+ *
+ * @param {mixed} oldValue - The current value
+ * @param {mixed} newValue - The value replacing it
+ * @param {array} keyPath - The keys leading to both values
+ * @param {function} callback - Called with the key path of each changed value
+ */
+function _forEachChangedValue(oldValue, newValue, keyPath, callback) {
+    if (_isMergeableObject(oldValue) && _isMergeableObject(newValue)) {
+        for (var key in newValue) {
+            _forEachChangedValue(oldValue[key], newValue[key], keyPath.concat(key), callback);
+        }
+    }
+    else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        callback(keyPath, newValue);
+    }
+}
+
 /**
- * Performs validation to ensure the npm environment has been set up properly.
- * If anything is wrong, throws an error.
+ * Performs validation to ensure the npm environment has been set up properly,
+ * and that the PlugBotBase section matches its schema (see config_schema.js).
+ * If anything is wrong, throws an error; unknown keys are only warned about.
  *
  * @params {object} config - The current config object to validate
  */
@@ -135,6 +536,11 @@ function _validateConfig(config) {
             throw new Error("No value has been set in config for key: PlugBotBase." + key);
         }
     }
+
+    checkAgainstSchema(config, ConfigSchema.PLUG_BOT_BASE_SCHEMA);
 }
 
+exports.checkAgainstSchema = checkAgainstSchema;
 exports.create = create;
+exports.merge = _mergeConfig;
+exports.reload = reload;
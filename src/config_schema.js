@@ -0,0 +1,319 @@
+"use strict";
+
+/**
+ * Validates configuration against a schema. The PlugBotBase section is checked against
+ * the schema below, and command and event listener modules can export a configSchema
+ * describing their own sections, which is checked before the module is initialized.
+ *
+ * A schema maps section names to the keys in that section, and each key to a rule:
+ *
+ * @example
+ * exports.configSchema = {
+ *     ChatFilter: {
+ *         bannedWords: { type: "array", items: { type: "string" }, required: true },
+ *         maxWarnings: { type: "integer", min: 0 },
+ *         action: { type: "string", allowedValues: ["delete", "mute"] }
+ *     }
+ * };
+ *
+ * A rule can contain any of:
+ *
+ *     type - one of "array", "boolean", "integer", "number", "object" or "string", or an array of
+ *            them; if left out, any type is allowed
+ *     required - if true, the key must be present; keys are optional by default
+ *     min, max - the smallest and largest allowed values, for numbers
+ *     allowedValues - an array of the only values allowed
+ *     items - a rule which each item of an array must follow
+ *     properties - a schema for the keys of an object, as for a section
+ *     additionalProperties - a rule which each value of an object must follow, for objects
+ *                            with arbitrary keys
+ *
+ * Keys which aren't in a section's schema (or an object's properties) are reported as
+ * warnings rather than errors, since they're usually typos of keys which are in it.
+ */
+
+var Log = require("./log");
+var Utils = require("./utils");
+
+var LOG_LEVELS = Log.LEVELS;
+
+var PLUG_BOT_BASE_SCHEMA = {
+    PlugBotBase: {
+        actionTimeoutInSeconds: { type: "number", min: 0 },
+        areCommandsCaseSensitive: { type: "boolean" },
+        botEmail: { type: "string", required: true },
+        botPassword: { type: "string", required: true },
+        chatBurstSize: { type: "integer", min: 1 },
+        chatIntervalInMilliseconds: { type: "number", min: 0 },
+        commandAliases: {
+            type: "object",
+            additionalProperties: { type: ["array", "string"], items: { type: "string" } }
+        },
+        commandPrefix: { type: ["array", "string"], items: { type: "string" } },
+        eventRecordingFile: { type: "string" },
+        helpCommandsPerPage: { type: "integer", min: 1 },
+        isConfigImmutable: { type: "boolean" },
+        isConfigReloadEnabled: { type: "boolean" },
+        isHelpCommandEnabled: { type: "boolean" },
+        isHotReloadEnabled: { type: "boolean" },
+        isMentionPrefixEnabled: { type: "boolean" },
+        isRoomHistoryPersisted: { type: "boolean" },
+        logAllEvents: { type: "boolean" },
+        logLevel: { type: "string", allowedValues: LOG_LEVELS },
+        logLevelsByLogger: {
+            type: "object",
+            additionalProperties: { type: "string", allowedValues: LOG_LEVELS }
+        },
+        logSinks: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    format: { type: "string", allowedValues: ["json", "text"] },
+                    maxFileSizeInBytes: { type: "integer", min: 1 },
+                    maxFiles: { type: "integer", min: 0 },
+                    path: { type: "string" },
+                    type: { type: "string", allowedValues: ["console", "file"], required: true }
+                }
+            }
+        },
+        maxChatMessageLength: { type: "integer", min: 1 },
+        maxConsecutiveHandlerFailures: { type: "integer", min: 0 },
+        numberOfChatEventsToStore: { type: "integer", min: 0 },
+        numberOfPlayedSongsToStore: { type: "integer", min: 0 },
+        reconnectInitialDelayInSeconds: { type: "number", min: 0 },
+        reconnectMaxDelayInSeconds: { type: "number", min: 0 },
+        roomHistorySnapshotIntervalInSeconds: { type: "number", min: 1 },
+        roomJoinTimeoutInSeconds: { type: "number", min: 1 },
+        roomName: { type: "string", required: true },
+        shouldNotifyStaffOfDisabledHandlers: { type: "boolean" },
+        shouldReconnect: { type: "boolean" },
+        storageDirectory: { type: "string" },
+        storageFlushDelayInMilliseconds: { type: "number", min: 0 },
+        storageMaxFlushDelayInMilliseconds: { type: "number", min: 0 }
+    }
+};
+
+/**
+ * Checks a configuration object against a schema.
+ *
+ * @param {object} config - The configuration to check
+ * @param {object} schema - A schema, mapping section names to the rules for their keys
+ * @returns {object} An object with two arrays of readable messages: errors, for values which
+ *                   break the schema, and warnings, for keys which aren't in the schema
+ */
+function validate(config, schema) {
+    var result = { errors: [], warnings: [] };
+
+    for (var section in schema) {
+        var sectionConfig = config[section];
+
+        if (typeof sectionConfig === "undefined") {
+            sectionConfig = {};
+        }
+        else if (_getType(sectionConfig) !== "object") {
+            result.errors.push("Config section " + section + " should be an object, but is " + _describe(sectionConfig));
+            continue;
+        }
+
+        _validateProperties(sectionConfig, schema[section], section, result);
+    }
+
+    return result;
+}
+
+/**
+ * Checks that a schema is well formed, so that mistakes in a module's configSchema are
+ * reported clearly rather than as confusing validation failures. Throws an error describing
+ * the problem if it isn't.
+ *
+ * @param {object} schema - The schema to check
+ */
+function validateSchema(schema) {
+    Utils.checkHasType(schema, "object", "A config schema should be an object mapping section names to their keys, but is a {{actual}}");
+
+    for (var section in schema) {
+        Utils.checkHasType(schema[section], "object", "The config schema for section " + section + " should be an object, but is a {{actual}}");
+
+        for (var key in schema[section]) {
+            _validateRule(schema[section][key], section + "." + key);
+        }
+    }
+}
+
+function _validateRule(rule, keyPath) {
+    Utils.checkHasType(rule, "object", "The config schema rule for " + keyPath + " should be an object, but is a {{actual}}");
+
+    var types = Array.isArray(rule.type) ? rule.type : (rule.type ? [rule.type] : []);
+    types.forEach(function(type) {
+        if (["array", "boolean", "integer", "number", "object", "string"].indexOf(type) < 0) {
+            throw new Error("The config schema rule for " + keyPath + " has an invalid type: " + type);
+        }
+    });
+
+    if (rule.items) {
+        _validateRule(rule.items, keyPath + "[]");
+    }
+
+    if (rule.additionalProperties) {
+        _validateRule(rule.additionalProperties, keyPath + ".*");
+    }
+
+    for (var property in rule.properties || {}) {
+        _validateRule(rule.properties[property], keyPath + "." + property);
+    }
+}
+
+function _validateProperties(object, properties, keyPath, result) {
+    for (var key in properties) {
+        if (typeof object[key] === "undefined") {
+            if (properties[key].required) {
+                result.errors.push(keyPath + "." + key + " is required, but hasn't been set");
+            }
+
+            continue;
+        }
+
+        _validateValue(object[key], properties[key], keyPath + "." + key, result);
+    }
+
+    for (var key in object) {
+        if (!(key in properties)) {
+            var suggestion = _findClosestKey(key, Object.keys(properties));
+            result.warnings.push(keyPath + "." + key + " isn't a known config key" + (suggestion ? "; did you mean " + suggestion + "?" : ""));
+        }
+    }
+}
+
+function _validateValue(value, rule, keyPath, result) {
+    var types = Array.isArray(rule.type) ? rule.type : (rule.type ? [rule.type] : []);
+    var type = _getType(value);
+
+    // Without a type, any value is allowed
+    var matchingType = types.length === 0 ? type : null;
+    for (var i = 0; i < types.length; i++) {
+        if (types[i] === type || (types[i] === "number" && type === "integer")) {
+            matchingType = types[i];
+        }
+    }
+
+    if (!matchingType) {
+        result.errors.push(keyPath + " should be " + _joinWithOr(types.map(_withArticle)) + ", but is " + _describe(value));
+        return;
+    }
+
+    if (rule.allowedValues && rule.allowedValues.indexOf(value) < 0) {
+        result.errors.push(keyPath + " should be one of " + rule.allowedValues.map(JSON.stringify).join(", ") + ", but is " + JSON.stringify(value));
+    }
+
+    if (typeof rule.min === "number" && value < rule.min) {
+        result.errors.push(keyPath + " should be at least " + rule.min + ", but is " + value);
+    }
+
+    if (typeof rule.max === "number" && value > rule.max) {
+        result.errors.push(keyPath + " should be at most " + rule.max + ", but is " + value);
+    }
+
+    if (matchingType === "array" && rule.items) {
+        for (var index = 0; index < value.length; index++) {
+            _validateValue(value[index], rule.items, keyPath + "[" + index + "]", result);
+        }
+    }
+
+    if (matchingType === "object") {
+        if (rule.properties) {
+            _validateProperties(value, rule.properties, keyPath, result);
+        }
+        else if (rule.additionalProperties) {
+            for (var key in value) {
+                _validateValue(value[key], rule.additionalProperties, keyPath + "." + key, result);
+            }
+        }
+    }
+}
+
+function _getType(value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+
+    if (value === null) {
+        return "null";
+    }
+
+    if (typeof value === "number" && Math.floor(value) === value) {
+        return "integer";
+    }
+
+    return typeof value;
+}
+
+function _describe(value) {
+    var type = _getType(value);
+
+    if (type === "null") {
+        return "null";
+    }
+
+    if (type === "array" || type === "object") {
+        return _withArticle(type);
+    }
+
+    return _withArticle(type === "integer" ? "number" : type) + " (" + JSON.stringify(value) + ")";
+}
+
+function _withArticle(type) {
+    return (/^[aeiou]/.test(type) ? "an " : "a ") + type;
+}
+
+function _joinWithOr(words) {
+    if (words.length === 1) {
+        return words[0];
+    }
+
+    return words.slice(0, -1).join(", ") + " or " + words[words.length - 1];
+}
+
+/**
+ * Finds the known key which is most likely what was meant by an unknown key, if any is close enough.
+ */
+function _findClosestKey(key, knownKeys) {
+    var closestKey = null;
+    var closestDistance = Math.max(2, Math.floor(key.length / 4)) + 1;
+
+    for (var i = 0; i < knownKeys.length; i++) {
+        var distance = _getEditDistance(key.toLowerCase(), knownKeys[i].toLowerCase());
+        if (distance < closestDistance) {
+            closestKey = knownKeys[i];
+            closestDistance = distance;
+        }
+    }
+
+    return closestKey;
+}
+
+function _getEditDistance(a, b) {
+    var previousRow = [];
+    for (var j = 0; j <= b.length; j++) {
+        previousRow.push(j);
+    }
+
+    for (var i = 1; i <= a.length; i++) {
+        var currentRow = [i];
+
+        for (var j = 1; j <= b.length; j++) {
+            var substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+            currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + substitutionCost));
+        }
+
+        previousRow = currentRow;
+    }
+
+    return previousRow[b.length];
+}
+
+module.exports = {
+    PLUG_BOT_BASE_SCHEMA: PLUG_BOT_BASE_SCHEMA,
+    validate: validate,
+    validateSchema: validateSchema
+};
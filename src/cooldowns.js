@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Tracks when commands were last used, to enforce the cooldowns declared by
+ * command modules. A command module declares its cooldown like so:
+ *
+ * @example
+ * exports.cooldown = {
+ *     global: 30, // seconds before anyone can use the command again
+ *     perUser: 300, // seconds before the same user can use the command again
+ *     bypassRole: UserRole.BOUNCER // optional; users of this role or higher ignore the cooldown
+ * };
+ *
+ * Either of global and perUser may be left out.
+ */
+
+var Utils = require("./utils");
+
+function Cooldowns() {
+    // Entries of the form { command, lastUseDate, lastUseDateByUser }
+    this._entries = [];
+}
+
+/**
+ * Checks that a cooldown declaration is well formed. Throws an error describing
+ * the problem if it isn't.
+ *
+ * @param {object} cooldown - The cooldown exported by a command module
+ */
+Cooldowns.validate = function(cooldown) {
+    Utils.checkHasType(cooldown, "object", "Command cooldown should be an object, but is a {{actual}}");
+
+    ["global", "perUser"].forEach(function(key) {
+        if (typeof cooldown[key] !== "undefined" && (typeof cooldown[key] !== "number" || cooldown[key] < 0)) {
+            throw new Error("Command cooldown '" + key + "' should be a non-negative number of seconds, but is " + cooldown[key]);
+        }
+    });
+
+    if (cooldown.bypassRole) {
+        Utils.checkHasType(cooldown.bypassRole.level, "number", "Command cooldown 'bypassRole' should be a value from the UserRole enum");
+    }
+};
+
+/**
+ * Determines how much longer a user has to wait before they can use a command.
+ *
+ * @param {object} command - The command module
+ * @param {object} commandEvent - The CHAT_COMMAND event in which the user is trying to use the command
+ * @returns {number} The number of seconds left on the command's cooldown, or 0 if it can be used now
+ */
+Cooldowns.prototype.getSecondsRemaining = function(command, commandEvent) {
+    var cooldown = command.cooldown;
+    if (!cooldown || (cooldown.bypassRole && commandEvent.userRole.level >= cooldown.bypassRole.level)) {
+        return 0;
+    }
+
+    var entry = this._findEntry(command);
+    if (!entry) {
+        return 0;
+    }
+
+    var now = Date.now();
+    var remainingInMs = 0;
+
+    if (cooldown.global) {
+        remainingInMs = Math.max(remainingInMs, entry.lastUseDate + cooldown.global * 1000 - now);
+    }
+
+    if (cooldown.perUser && entry.lastUseDateByUser[commandEvent.userID]) {
+        remainingInMs = Math.max(remainingInMs, entry.lastUseDateByUser[commandEvent.userID] + cooldown.perUser * 1000 - now);
+    }
+
+    return Math.ceil(remainingInMs / 1000);
+};
+
+/**
+ * Records that a user has just used a command, starting its cooldowns.
+ *
+ * @param {object} command - The command module
+ * @param {object} commandEvent - The CHAT_COMMAND event in which the command was used
+ */
+Cooldowns.prototype.recordUse = function(command, commandEvent) {
+    if (!command.cooldown) {
+        return;
+    }
+
+    var entry = this._findEntry(command);
+    if (!entry) {
+        entry = {
+            command: command,
+            lastUseDate: 0,
+            lastUseDateByUser: {}
+        };
+
+        this._entries.push(entry);
+    }
+
+    var now = Date.now();
+    entry.lastUseDate = now;
+    entry.lastUseDateByUser[commandEvent.userID] = now;
+};
+
+Cooldowns.prototype._findEntry = function(command) {
+    for (var i = 0; i < this._entries.length; i++) {
+        if (this._entries[i].command === command) {
+            return this._entries[i];
+        }
+    }
+
+    return null;
+};
+
+module.exports = Cooldowns;
@@ -0,0 +1,125 @@
+"use strict";
+
+/**
+ * Reads the handlers out of event listener modules, which export a handler for each
+ * event they're interested in, keyed by the event's name (a value from the Event enum,
+ * or the name of a custom event registered with Bot.registerEvent).
+ *
+ * Modules can also declare the custom events they use, which are registered before any
+ * module is initialized, so that every module can listen to them regardless of load order:
+ *
+ * @example
+ * exports.events = ["songBlacklisted"];
+ *
+ * exports.songBlacklisted = function(event, globalObject) { ... };
+ */
+
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("PlugBotBaseMain");
+
+var Event = Types.Event;
+
+// Exports which mean something else to PlugBotBase, and so can't be the names of custom events
+var RESERVED_EXPORTS = ["configSchema", "dependsOn", "destroy", "events", "init"];
+
+/**
+ * Finds the custom events which an event listener module declares through its events export.
+ * Throws an error if the declaration isn't valid.
+ *
+ * @param {object} module - The event listener module
+ * @param {string} filePath - Where the module came from, for error messages
+ * @returns {array} The names of the declared events; empty if the module doesn't declare any
+ */
+function getDeclaredEvents(module, filePath) {
+    if (typeof module.events === "undefined") {
+        return [];
+    }
+
+    var isValid = Array.isArray(module.events) && module.events.every(function(eventName) {
+        return typeof eventName === "string" && eventName.length > 0;
+    });
+
+    if (!isValid) {
+        throw new Error("The events exported by the event listener from file " + filePath + " should be an array of event names");
+    }
+
+    module.events.forEach(function(eventName) {
+        if (RESERVED_EXPORTS.indexOf(eventName) >= 0) {
+            throw new Error("The event listener from file " + filePath + " declares the event '" + eventName + "', but that name is reserved for PlugBotBase's own use");
+        }
+    });
+
+    return module.events.slice();
+}
+
+/**
+ * Finds every event handler exported by an event listener module.
+ *
+ * @param {object} module - The event listener module
+ * @param {string} filePath - Where the module came from, for error messages
+ * @param {array} eventNames - Optional. The names of the events to look for (see Bot.getEventNames);
+ *                             defaults to the events in the Event enum
+ * @returns {array} The handlers, in the form { eventName, callback, context, priority }; empty if the module has none
+ */
+function getHandlers(module, filePath, eventNames) {
+    eventNames = eventNames || Object.keys(Event).map(function(eventKey) {
+        return Event[eventKey];
+    });
+
+    /* Check each event name and look for an export in one of two forms:
+     *
+     * 1) EVENT_NAME : some_function
+     * 2) EVENT_NAME : { handler: some_function, context: some_object, priority: some_number }
+     *
+     * Context and priority are optional even in the second form, but a function is always required.
+     */
+    var handlers = [];
+    for (var i = 0; i < eventNames.length; i++) {
+        var eventValue = eventNames[i];
+        var eventHandler = null;
+        var handlerContext = null;
+        var handlerPriority = 0;
+
+        if (RESERVED_EXPORTS.indexOf(eventValue) >= 0) {
+            continue;
+        }
+
+        if (!module[eventValue]) {
+            continue;
+        }
+
+        if (typeof module[eventValue] === "function") {
+            eventHandler = module[eventValue];
+        }
+        else if (typeof module[eventValue] === "object") {
+            if (typeof module[eventValue].handler !== "function") {
+                LOG.error("An error occurred while reading event listener from file {}", filePath);
+                LOG.error("Event listener for event '{}' has an object type, but the 'handler' property does not refer to a function", eventValue);
+                throw new Error("An error occurred while initializing event listeners. Check your logfile (or just stdout) for more details.");
+            }
+
+            eventHandler = module[eventValue].handler;
+            handlerContext = module[eventValue].context;
+            handlerPriority = module[eventValue].priority || 0;
+
+            if (typeof handlerPriority !== "number" || !isFinite(handlerPriority)) {
+                LOG.error("An error occurred while reading event listener from file {}", filePath);
+                LOG.error("Event listener for event '{}' has a priority which isn't a finite number: {}", eventValue, handlerPriority);
+                throw new Error("An error occurred while initializing event listeners. Check your logfile (or just stdout) for more details.");
+            }
+        }
+        else {
+            LOG.warn("Found what looks like an event listener, but it's not an object or a function. Event: {}, from file: {}", eventValue, filePath);
+            continue;
+        }
+
+        handlers.push({ eventName: eventValue, callback: eventHandler, context: handlerContext, priority: handlerPriority });
+    }
+
+    return handlers;
+}
+
+exports.getDeclaredEvents = getDeclaredEvents;
+exports.getHandlers = getHandlers;
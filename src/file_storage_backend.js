@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * The default backend for Storage, which keeps each namespace in its own JSON file
+ * inside a data directory.
+ *
+ * A storage backend needs two methods: load(namespace), which synchronously returns
+ * the saved data for a namespace (or null if there isn't any), and save(namespace, data,
+ * callback), which saves the data and then calls the callback with an error or null.
+ * If load throws, so does every attempt to use that namespace.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var Log = require("./log");
+
+var LOG = new Log("PlugBotBase-FileStorageBackend");
+
+/**
+ * @param {string} directory - The directory to keep data files in. It's created if it doesn't exist.
+ */
+function FileStorageBackend(directory) {
+    this.directory = directory;
+}
+
+/**
+ * Loads a namespace's data. A file which isn't valid JSON is moved aside, so that it can be
+ * looked at later without being overwritten, and the namespace starts out empty.
+ */
+FileStorageBackend.prototype.load = function(namespace) {
+    var filePath = this._getFilePath(namespace);
+
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    var contents = fs.readFileSync(filePath, "utf8");
+
+    try {
+        return JSON.parse(contents);
+    }
+    catch (e) {
+        var corruptFilePath = filePath + "." + Date.now() + ".corrupt";
+        fs.renameSync(filePath, corruptFilePath);
+
+        LOG.error("The data file for the storage namespace '{}' isn't valid JSON, so it's been moved to {} and the namespace starts out empty. Error: {}",
+                  namespace, corruptFilePath, e.message);
+        return null;
+    }
+};
+
+/**
+ * Saves a namespace's data. The data is written to a temporary file which then
+ * replaces the real one, so a crash part way through never leaves a corrupt file.
+ */
+FileStorageBackend.prototype.save = function(namespace, data, callback) {
+    var filePath = this._getFilePath(namespace);
+    var temporaryFilePath = filePath + ".tmp";
+    var contents = JSON.stringify(data, null, 4);
+    var directory = this.directory;
+
+    fs.mkdir(directory, { recursive: true }, function(error) {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        fs.writeFile(temporaryFilePath, contents, "utf8", function(error) {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            fs.rename(temporaryFilePath, filePath, function(error) {
+                callback(error || null);
+            });
+        });
+    });
+};
+
+FileStorageBackend.prototype._getFilePath = function(namespace) {
+    return path.resolve(this.directory, encodeURIComponent(namespace) + ".json");
+};
+
+module.exports = FileStorageBackend;
@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * The built-in !help command. It's an ordinary command module, created by
+ * _registerHelpCommand in main.js once every other command has been started, and
+ * builds its output from the triggers, description, usage and minimumRole exported
+ * by those commands.
+ *
+ * "!help" lists the commands the user is allowed to use, a page at a time, while
+ * "!help <command>" describes a single command.
+ */
+
+var CommandArguments = require("./command_arguments");
+var Types = require("./types");
+
+/**
+ * Creates the help command.
+ *
+ * @param {array} commands - The registered commands. The help command keeps a reference to this
+ *                           array, so commands added to it later (including itself) are included too.
+ * @returns {object} A command module
+ */
+function create(commands) {
+    var helpCommand = {
+        triggers: ["help"],
+        description: "Lists the commands you can use, or describes one of them.",
+        usage: "[command or page]",
+        arguments: [
+            { name: "commandOrPage", type: Types.ArgumentType.STRING, required: false }
+        ]
+    };
+
+    helpCommand.handler = function(commandEvent, globalObject) {
+        var config = globalObject.config.PlugBotBase;
+        var availableCommands = commands.filter(function(command) {
+            return !command.minimumRole || commandEvent.userRole.level >= command.minimumRole.level;
+        });
+
+        var commandOrPage = commandEvent.parsedArgs.commandOrPage;
+        var prefix = commandEvent.prefix;
+
+        if (commandOrPage && !/^\d+$/.test(commandOrPage)) {
+            var commandName = commandOrPage;
+            if (commandName.indexOf(prefix) === 0 && commandName.length > prefix.length) {
+                commandName = commandName.substr(prefix.length);
+            }
+
+            if (!config.areCommandsCaseSensitive) {
+                commandName = commandName.toLowerCase();
+            }
+
+            var command = _findCommand(availableCommands, commandName);
+            if (!command) {
+                globalObject.bot.sendChat("@{} There's no command called {}{} that you can use.", commandEvent.username, prefix, commandName);
+                return;
+            }
+
+            globalObject.bot.sendChat("@{} {}", commandEvent.username, describe(command, commandName, prefix));
+            return;
+        }
+
+        var numberOfPages = Math.ceil(availableCommands.length / config.helpCommandsPerPage);
+        var page = commandOrPage ? parseInt(commandOrPage, 10) : 1;
+
+        if (page < 1 || page > numberOfPages) {
+            globalObject.bot.sendChat("@{} There's no page {} of commands. Say {}{} to start from the beginning.", commandEvent.username, page, prefix, commandEvent.command);
+            return;
+        }
+
+        var triggers = availableCommands.slice((page - 1) * config.helpCommandsPerPage, page * config.helpCommandsPerPage).map(function(command) {
+            return prefix + command.triggers[0];
+        });
+
+        var helpTrigger = prefix + commandEvent.command;
+        var message = "Commands: " + triggers.join(", ") + ". Say " + helpTrigger + " <command> for details.";
+        if (numberOfPages > 1) {
+            message += " (page " + page + " of " + numberOfPages + (page < numberOfPages ? "; say " + helpTrigger + " " + (page + 1) + " for more" : "") + ")";
+        }
+
+        globalObject.bot.sendChat("@{} {}", commandEvent.username, message);
+    };
+
+    return helpCommand;
+}
+
+/**
+ * Describes a single command: its usage, description and any other triggers it has.
+ *
+ * @param {object} command - A command module
+ * @param {string} trigger - The trigger the user asked about
+ * @param {string} prefix - The command prefix to show, e.g. "!"
+ * @returns {string} A description of the command, suitable for chat
+ */
+function describe(command, trigger, prefix) {
+    var usage;
+    if (command.usage) {
+        usage = prefix + trigger + " " + command.usage;
+    }
+    else if (command.arguments) {
+        usage = CommandArguments.formatUsage(prefix + trigger, command.arguments);
+    }
+    else {
+        usage = prefix + trigger;
+    }
+
+    var description = usage + " - " + (command.description || "No description available.");
+
+    var aliases = command.triggers.filter(function(otherTrigger) {
+        return otherTrigger !== trigger;
+    });
+
+    if (aliases.length > 0) {
+        description += " Also: " + aliases.map(function(alias) {
+            return prefix + alias;
+        }).join(", ");
+    }
+
+    return description;
+}
+
+function _findCommand(commands, commandName) {
+    for (var i = 0; i < commands.length; i++) {
+        if (commands[i].triggers.indexOf(commandName) >= 0) {
+            return commands[i];
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    create: create,
+    describe: describe
+};
@@ -1,5 +1,15 @@
+var LogSinks = require("./log_sinks");
 var Utils = require("./utils");
 
+var LEVELS = ["DEBUG", "INFO", "WARN", "ERROR"];
+
+// Until Log.configure is called (once config has loaded), everything goes to the console
+var _settings = {
+    level: "DEBUG",
+    levelsByLogger: {},
+    sinks: [new LogSinks.ConsoleSink()]
+};
+
 function Log(loggerName) {
     this._loggerName = loggerName;
 }
@@ -9,21 +19,78 @@ Log.prototype.info = _generateLogFunc("INFO");
 Log.prototype.warn = _generateLogFunc("WARN");
 Log.prototype.error = _generateLogFunc("ERROR");
 
-Log.prototype._log = function(level, message) {
-    var now = new Date();
-    console.log("[" + now + "] [" + level + "] " + this._loggerName + " : " + message);
+/**
+ * @param {string} level - A log level, e.g. "DEBUG"
+ * @returns {boolean} Whether messages at this level would be written by this logger
+ */
+Log.prototype.isLevelEnabled = function(level) {
+    var minimumLevel = _settings.levelsByLogger[this._loggerName] || _settings.level;
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(minimumLevel);
+}
+
+Log.prototype._log = function(level, message, args) {
+    var record = {
+        timestamp: Date.now(),
+        level: level,
+        logger: this._loggerName,
+        message: message,
+        args: args
+    };
+
+    for (var i = 0; i < _settings.sinks.length; i++) {
+        _settings.sinks[i].write(record);
+    }
+}
+
+/**
+ * Changes how every logger behaves, including those which already exist.
+ *
+ * @param {object} settings - Contains the following keys:
+ *                            level - the minimum level to write, e.g. "INFO"
+ *                            levelsByLogger - optional; maps logger names to a minimum level
+ *                                             which overrides the global one for that logger
+ *                            sinks - optional; the sinks to write to (see log_sinks.js)
+ */
+Log.configure = function(settings) {
+    _checkLevel(settings.level);
+
+    var levelsByLogger = settings.levelsByLogger || {};
+    for (var loggerName in levelsByLogger) {
+        _checkLevel(levelsByLogger[loggerName]);
+    }
+
+    _settings = {
+        level: settings.level,
+        levelsByLogger: levelsByLogger,
+        sinks: settings.sinks || _settings.sinks
+    };
+}
+
+Log.LEVELS = LEVELS;
+
+function _checkLevel(level) {
+    if (LEVELS.indexOf(level) < 0) {
+        throw new Error("Invalid log level '" + level + "'. Valid levels are: " + LEVELS.join(", "));
+    }
 }
 
 function _generateLogFunc(level) {
     return function(message) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        var args = Array.prototype.slice.call(arguments, 1);
+
         if (typeof message === "object") {
+            args = [message];
             message = JSON.stringify(message);
         }
         else {
             message = Utils.replaceStringPlaceholders(message, arguments);
         }
 
-        this._log(level, message);
+        this._log(level, message, args);
     };
 }
 
@@ -0,0 +1,165 @@
+"use strict";
+
+/**
+ * The places log messages can be written to. A sink is any object with a write(record)
+ * method, where a record looks like:
+ *
+ * {
+ *     timestamp: 1445470652000, // when the message was logged
+ *     level: "INFO",
+ *     logger: "PlugBotBase-Bot", // the name of the Log which logged it
+ *     message: "Joined room my-room", // the message, with placeholders filled in
+ *     args: ["my-room"] // the values which filled the placeholders
+ * }
+ *
+ * Sinks which write text take a format: "text" writes the same human-readable lines
+ * PlugBotBase always has, while "json" writes each record as a line of JSON.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var DEFAULT_MAX_FILE_SIZE_IN_BYTES = 10 * 1024 * 1024;
+var DEFAULT_MAX_FILES = 5;
+
+/**
+ * Writes log messages to stdout.
+ *
+ * @param {string} format - Optional. Either "text" (the default) or "json"
+ */
+function ConsoleSink(format) {
+    this._format = _getFormatter(format);
+}
+
+ConsoleSink.prototype.write = function(record) {
+    console.log(this._format(record));
+};
+
+/**
+ * Writes log messages to a file. Once the file grows past its maximum size, it's
+ * renamed with a ".1" suffix (older files moving up to ".2", ".3" and so on) and a
+ * new file is started. Only maxFiles old files are kept.
+ *
+ * @param {object} options - Contains the following keys:
+ *                           path - the path of the log file; its directory is created if needed
+ *                           format - optional; either "text" (the default) or "json"
+ *                           maxFileSizeInBytes - optional; how big the file can get before it's rotated
+ *                           maxFiles - optional; how many rotated files to keep
+ */
+function RotatingFileSink(options) {
+    this._filePath = options.path;
+    this._format = _getFormatter(options.format);
+    this._maxFileSizeInBytes = options.maxFileSizeInBytes || DEFAULT_MAX_FILE_SIZE_IN_BYTES;
+    this._maxFiles = typeof options.maxFiles === "number" ? options.maxFiles : DEFAULT_MAX_FILES;
+
+    fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+    this._currentSize = fs.existsSync(this._filePath) ? fs.statSync(this._filePath).size : 0;
+}
+
+RotatingFileSink.prototype.write = function(record) {
+    var line = this._format(record) + "\n";
+    var lineSize = Buffer.byteLength(line);
+
+    if (this._currentSize > 0 && this._currentSize + lineSize > this._maxFileSizeInBytes) {
+        this._rotate();
+    }
+
+    // Written synchronously, like console output, so that nothing is lost if the process dies
+    fs.appendFileSync(this._filePath, line);
+    this._currentSize += lineSize;
+};
+
+RotatingFileSink.prototype._rotate = function() {
+    for (var i = this._maxFiles - 1; i >= 1; i--) {
+        var olderFilePath = this._filePath + "." + i;
+        if (fs.existsSync(olderFilePath)) {
+            fs.renameSync(olderFilePath, this._filePath + "." + (i + 1));
+        }
+    }
+
+    if (this._maxFiles > 0) {
+        fs.renameSync(this._filePath, this._filePath + ".1");
+    }
+    else {
+        fs.unlinkSync(this._filePath);
+    }
+
+    this._currentSize = 0;
+};
+
+/**
+ * Creates a sink from its configuration, as found in PlugBotBase.logSinks.
+ *
+ * @param {object} sinkConfig - An object with a type of "console" or "file", along with the options for that type
+ * @param {string} basedir - The directory which relative file paths are resolved against
+ * @returns {object} The sink
+ */
+function create(sinkConfig, basedir) {
+    switch (sinkConfig.type) {
+        case "console":
+            return new ConsoleSink(sinkConfig.format);
+        case "file":
+            if (!sinkConfig.path) {
+                throw new Error("Log sinks of type 'file' need a path");
+            }
+
+            return new RotatingFileSink({
+                format: sinkConfig.format,
+                maxFileSizeInBytes: sinkConfig.maxFileSizeInBytes,
+                maxFiles: sinkConfig.maxFiles,
+                path: path.resolve(basedir, sinkConfig.path)
+            });
+        default:
+            throw new Error("Unknown log sink type '" + sinkConfig.type + "'. Valid types are 'console' and 'file'.");
+    }
+}
+
+function _getFormatter(format) {
+    switch (format || "text") {
+        case "text":
+            return formatAsText;
+        case "json":
+            return formatAsJson;
+        default:
+            throw new Error("Unknown log format '" + format + "'. Valid formats are 'text' and 'json'.");
+    }
+}
+
+function formatAsText(record) {
+    return "[" + new Date(record.timestamp) + "] [" + record.level + "] " + record.logger + " : " + record.message;
+}
+
+function formatAsJson(record) {
+    var json = {
+        timestamp: new Date(record.timestamp).toISOString(),
+        level: record.level,
+        logger: record.logger,
+        message: record.message,
+        args: record.args.map(_toJsonValue)
+    };
+
+    try {
+        return JSON.stringify(json);
+    }
+    catch (e) {
+        // Most likely a circular structure in one of the args
+        json.args = record.args.map(String);
+        return JSON.stringify(json);
+    }
+}
+
+function _toJsonValue(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+
+    return typeof value === "undefined" ? null : value;
+}
+
+module.exports = {
+    ConsoleSink: ConsoleSink,
+    RotatingFileSink: RotatingFileSink,
+    create: create,
+    formatAsJson: formatAsJson,
+    formatAsText: formatAsText
+};
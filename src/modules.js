@@ -0,0 +1,232 @@
+"use strict";
+
+/**
+ * Checks, starts and stops command and event listener modules. start() loads modules from
+ * files, while the test harness is handed them directly, but from then on both go through here,
+ * so that modules run in tests exactly as they do in the bot.
+ *
+ * Each module is tracked as an entry, containing the module itself, its filePath (or another
+ * description of where it came from, for messages), its name (which other modules refer to in
+ * dependsOn) and its type. A module type describes how one kind of module is checked, registered
+ * and unregistered; see createCommandModuleType and createEventListenerModuleType.
+ */
+
+var CommandArguments = require("./command_arguments");
+var Config = require("./config");
+var ConfigSchema = require("./config_schema");
+var Cooldowns = require("./cooldowns");
+var EventListeners = require("./event_listeners");
+var Log = require("./log");
+
+var LOG = new Log("PlugBotBaseMain");
+
+/**
+ * Describes how commands are checked and registered. Commands are registered
+ * by adding them to the array given, which the command handler dispatches from.
+ *
+ * @param {object} globalObject - The global object
+ * @param {array} commands - The array of registered commands
+ * @param {string} directory - Optional. The directory which command modules are loaded from
+ * @returns {object} A module type
+ */
+function createCommandModuleType(globalObject, commands, directory) {
+    var commandAliases = globalObject.config.PlugBotBase.commandAliases;
+
+    return {
+        directory: directory,
+        name: "command",
+        load: function(module, filePath) {
+            if (!_checkCommand(module, filePath)) {
+                return null;
+            }
+
+            addCommandAliases(module, commandAliases);
+            return { module: module };
+        },
+        register: function(entry) {
+            commands.push(entry.module);
+        },
+        unregister: function(entry) {
+            commands.splice(commands.indexOf(entry.module), 1);
+        }
+    };
+}
+
+/**
+ * Describes how event listeners are checked and registered. Any custom events a module
+ * declares are registered with the bot as soon as it's loaded, so that they exist before
+ * any module is initialized. Event listeners are registered by adding each of their handlers
+ * to the bot. Handlers are looked for again on registering, since by then more custom events
+ * may have been registered, by the module itself or by those it depends on.
+ *
+ * @param {object} globalObject - The global object
+ * @param {string} directory - Optional. The directory which event listener modules are loaded from
+ * @returns {object} A module type
+ */
+function createEventListenerModuleType(globalObject, directory) {
+    var bot = globalObject.bot;
+
+    return {
+        directory: directory,
+        name: "event listener",
+        load: function(module, filePath) {
+            var declaredEvents = EventListeners.getDeclaredEvents(module, filePath);
+
+            for (var i = 0; i < declaredEvents.length; i++) {
+                bot.registerEvent(declaredEvents[i]);
+            }
+
+            var handlers = EventListeners.getHandlers(module, filePath, bot.getEventNames());
+
+            if (handlers.length === 0 && declaredEvents.length === 0) {
+                LOG.warn("Found a module at {} but it doesn't appear to be an event handler. Ignoring.", filePath);
+                return null;
+            }
+
+            return {
+                handlers: handlers,
+                module: module
+            };
+        },
+        register: function(entry) {
+            entry.handlers = EventListeners.getHandlers(entry.module, entry.filePath, bot.getEventNames());
+            entry.subscriptions = entry.handlers.map(function(handler) {
+                return bot.on(handler.eventName, handler.callback, handler.context, { priority: handler.priority, source: entry.filePath });
+            });
+        },
+        unregister: function(entry) {
+            entry.subscriptions.forEach(function(subscription) {
+                bot.off(subscription);
+            });
+        }
+    };
+}
+
+/**
+ * Adds the extra triggers configured in PlugBotBase.commandAliases, which maps one of a
+ * command's existing triggers to an array of aliases for it; for example,
+ * { "skip": ["s", "next"] } makes "!s" and "!next" work like "!skip".
+ *
+ * @param {object} command - A command module
+ * @param {object} commandAliases - The configured aliases
+ */
+function addCommandAliases(command, commandAliases) {
+    for (var trigger in commandAliases) {
+        if (command.triggers.indexOf(trigger) < 0) {
+            continue;
+        }
+
+        command.triggers = command.triggers.concat(commandAliases[trigger]);
+        LOG.info("Added aliases {} for the command '{}'", commandAliases[trigger], trigger);
+    }
+}
+
+/**
+ * Checks the module's config against its configSchema (if it exports one), then
+ * initializes the module and registers it.
+ *
+ * @param {object} entry - The module entry
+ * @param {object} globalObject - The global object
+ * @returns {Promise} A promise which resolves once the module is registered, or rejects if its
+ *                    config is invalid or its init function throws or returns a Promise which rejects
+ */
+function startModule(entry, globalObject) {
+    return new Promise(function(resolve) {
+        if (entry.module.configSchema) {
+            ConfigSchema.validateSchema(entry.module.configSchema);
+            Config.checkAgainstSchema(globalObject.config, entry.module.configSchema, entry.filePath);
+        }
+
+        if (typeof entry.module.init === "function") {
+            LOG.info("Calling init for module at {}", entry.filePath);
+            resolve(entry.module.init(globalObject));
+        }
+        else {
+            resolve();
+        }
+    }).then(function() {
+        entry.type.register(entry);
+    });
+}
+
+/**
+ * Unregisters a module, then calls its destroy function (if it has one) so that it
+ * can clean up after itself. As with init, destroy may return a Promise. Errors are
+ * logged rather than passed on, since the module is going away regardless.
+ *
+ * @param {object} entry - The module entry
+ * @param {object} globalObject - The global object
+ * @returns {Promise} A promise which resolves once the module is destroyed
+ */
+function stopModule(entry, globalObject) {
+    entry.type.unregister(entry);
+
+    return new Promise(function(resolve) {
+        if (typeof entry.module.destroy === "function") {
+            resolve(entry.module.destroy(globalObject));
+        }
+        else {
+            resolve();
+        }
+    }).catch(function(e) {
+        LOG.error("An error occurred while destroying the module from file {}. Error: {}", entry.filePath, e.message);
+    });
+}
+
+/**
+ * Stops each of the modules given, one at a time.
+ *
+ * @param {array} entries - The module entries, in the order to destroy them
+ * @param {object} globalObject - The global object
+ * @returns {Promise} A promise which resolves once every module is destroyed
+ */
+function destroyModules(entries, globalObject) {
+    return entries.reduce(function(promise, entry) {
+        return promise.then(function() {
+            return stopModule(entry, globalObject);
+        });
+    }, Promise.resolve());
+}
+
+/**
+ * Checks that a module is a command, and that its arguments and cooldown are valid.
+ *
+ * @returns {boolean} Whether the module is a command module; if it is but isn't valid, an error is thrown instead
+ */
+function _checkCommand(module, filePath) {
+    if (!module.triggers || !module.handler) {
+        LOG.warn("Found a module at {} but it doesn't appear to be a command handler. Ignoring.", filePath);
+        return false;
+    }
+
+    if (module.arguments) {
+        try {
+            CommandArguments.validateSchema(module.arguments);
+        }
+        catch (e) {
+            LOG.error("An error occurred while reading the arguments of the command from file {}", filePath);
+            LOG.error(e.message);
+            throw new Error("An error occurred while initializing commands. Check your logfile (or just stdout) for more details.");
+        }
+    }
+
+    if (module.cooldown) {
+        try {
+            Cooldowns.validate(module.cooldown);
+        }
+        catch (e) {
+            LOG.error("An error occurred while reading the cooldown of the command from file {}", filePath);
+            LOG.error(e.message);
+            throw new Error("An error occurred while initializing commands. Check your logfile (or just stdout) for more details.");
+        }
+    }
+
+    return true;
+}
+
+exports.addCommandAliases = addCommandAliases;
+exports.createCommandModuleType = createCommandModuleType;
+exports.createEventListenerModuleType = createEventListenerModuleType;
+exports.destroyModules = destroyModules;
+exports.startModule = startModule;
+exports.stopModule = stopModule;
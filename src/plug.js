@@ -6,22 +6,25 @@
  *
  * The main goal of this class is to provide insulation between the plug.dj
  * API implementation and clients, since historically, plug.dj implementations
- * have changed rather frequently. In the event of a breaking change, hopefully only
- * this class will need to be updated.
+ * have changed rather frequently. The Bot itself only talks to a Transport (see
+ * transport.js), so in the event of a breaking change, hopefully only the transport
+ * will need to be updated.
  */
 
+var ActionError = require("./action_error");
+var ChatQueue = require("./chat_queue");
 var Log = require("./log");
-var PlugAPI = require("plugapi");
 var Translator = require("./translator");
+var Transport = require("./transport");
 var Types = require("./types");
 var Utils = require("./utils");
 
 var LOG = new Log("PlugBotBase-Bot");
 
+var ActionFailureReason = Types.ActionFailureReason;
+
 var _eventTranslatorMap = {
     'advance': Translator.translateAdvanceEvent,
-    'chat': Translator.translateChatEvent,
-    'command': Translator.translateCommandEvent,
     'chatDelete': Translator.translateChatDeleteEvent,
     'djListCycle': Translator.translateDjListCycleEvent,
     'djListUpdate': Translator.translateDjListUpdateEvent,
@@ -50,12 +53,18 @@ var _eventTranslatorMap = {
 /**
  * Creates a new instance of the bot which will automatically connect to plug.dj
  * and set up some event handling.
+ *
+ * @param {object} transport - The Transport which the bot uses to talk to the room
+ * @param {object} globalObject - The object representing global application state
  */
-function Bot(credentials, globalObject) {
-    LOG.info("Attempting to log in with email {}", credentials.email);
+function Bot(transport, globalObject) {
+    Transport.validate(transport);
 
-    this.bot = new PlugAPI(credentials);
-    LOG.info("Logged in successfully");
+    this.transport = transport;
+
+    // Deprecated: the underlying PlugAPI client, for modules which haven't moved off of it yet.
+    // Not every transport has one, so new code should go through the Bot instead.
+    this.bot = transport.client || null;
 
     // Set up custom event handling to insulate us from changes in the plug API
     this.eventHandlers = {};
@@ -66,14 +75,14 @@ function Bot(credentials, globalObject) {
 
     if (globalObject.config.PlugBotBase.logAllEvents) {
         LOG.info("Logging of all events is enabled (this includes events not supported by PlugBotBase). Setting up default event handlers.");
-        for (var eventKey in PlugAPI.events) {
-            var eventName = PlugAPI.events[eventKey];
-            LOG.info("Hooking into eventKey {}, eventName {}", eventKey, eventName);
-            this.bot.on(eventName, (function(name) {
+        var rawEventNames = transport.getRawEventNames();
+        for (var i = 0; i < rawEventNames.length; i++) {
+            LOG.info("Hooking into eventName {}", rawEventNames[i]);
+            transport.on(rawEventNames[i], (function(name) {
                 return function(event) {
                     LOG.info("event '{}' has JSON payload: {}", name, event);
                 };
-            })(eventName));
+            })(rawEventNames[i]));
         }
     }
 
@@ -81,19 +90,54 @@ function Bot(credentials, globalObject) {
         var eventName = Types.Event[eventKey];
         var translatorFunction = _eventTranslatorMap[eventName];
 
-        this.bot.on(eventName, _createEventDispatcher(eventName, translatorFunction, globalObject).bind(this));
+        // Some events are raised by PlugBotBase itself rather than coming from the transport
+        if (!translatorFunction) {
+            continue;
+        }
+
+        transport.on(eventName, _createEventDispatcher(eventName, translatorFunction).bind(this));
     }
+
+    // Chat is handled separately, since commands are picked out of it using our own prefixes
+    transport.on("chat", this._onChat.bind(this));
+
+    // Connection tracking, for automatic reconnection
+    this.isConnected = false;
+    this._globalObject = globalObject;
+    this._reconnection = null;
+    this._roomName = null;
+    this._stateLoaders = [];
+
+    // Middleware which every event passes through on its way to listeners (see Bot.use)
+    this._middleware = [];
+
+    transport.on("disconnected", this._onDisconnected.bind(this));
+    this.on(Types.Event.ROOM_JOIN, this._onRoomJoin, this);
+
+    // All chat goes through a rate-limited queue, which holds messages while disconnected
+    var self = this;
+    this._chatQueue = new ChatQueue(transport, {
+        burstSize: globalObject.config.PlugBotBase.chatBurstSize,
+        intervalInMilliseconds: globalObject.config.PlugBotBase.chatIntervalInMilliseconds,
+        maxMessageLength: globalObject.config.PlugBotBase.maxChatMessageLength,
+        deliveryTimeoutInMilliseconds: globalObject.config.PlugBotBase.actionTimeoutInSeconds * 1000,
+        isConnected: function() {
+            return self.isConnected;
+        }
+    });
 }
 
 /**
- * Attempts to ban a user from the room. If the bot doesn't have sufficient permissions
- * (that is, it's not at least a bouncer, and a higher role than the target user) then
- * TODO what? return value?
+ * Attempts to ban a user from the room. This fails if the bot isn't at least a bouncer,
+ * or if the target user is present and doesn't have a lower role than the bot.
  *
  * @param {mixed} userID - String or number representing the userID of the user to be banned
  * @param {String} banDuration - How long the ban should last, from the BanDuration enum
  * @param {String} banReason - The reason the user is being banned, from the BanReason enum
- * @param {function} callback - Optional; a function to be called once the ban is done (whether succeeded or failed)
+ * @param {function} callback - Optional. If provided, will be called once the ban is done (whether
+ *                              succeeded or failed). The callback is passed a Boolean parameter which
+ *                              is true if the user was banned, and an ActionError if they weren't.
+ * @returns {Promise} A promise which resolves once the user is banned, or rejects with an ActionError
  */
 Bot.prototype.banUser = function(userID, banDuration, banReason, callback) {
     Utils.checkHasValue(userID, "PlugBotBase.banUser called without a userID");
@@ -104,53 +148,12 @@ Bot.prototype.banUser = function(userID, banDuration, banReason, callback) {
         Utils.checkHasType(callback, "function", "PlugBotBase.banUser called with a non-function value for 'callback' argument");
     }
 
-    // Translate from our model to PlugAPI
-    var translatedBanDuration, translatedBanReason;
-
-    switch (banDuration) {
-        case Types.BanDuration.HOUR:
-            translatedBanDuration = PlugAPI.BAN.HOUR;
-            break;
-        case Types.BanDuration.DAY:
-            translatedBanDuration = PlugAPI.BAN.DAY;
-            break;
-        case Types.BanDuration.FOREVER:
-            translatedBanDuration = PlugAPI.BAN.PERMA;
-            break;
-    }
-
-    switch (banReason) {
-        case Types.BanReason.SPAMMING_OR_TROLLING:
-            translatedBanReason = PlugAPI.BAN_REASON.SPAMMING_TROLLING;
-            break;
-        case Types.BanReason.VERBAL_ABUSE_OR_OFFENSIVE_LANGUAGE:
-            translatedBanReason = PlugAPI.BAN_REASON.VERBAL_ABUSE;
-            break;
-        case Types.BanReason.PLAYING_OFFENSIVE_MEDIA:
-            translatedBanReason = PlugAPI.BAN_REASON.OFFENSIVE_MEDIA;
-            break;
-        case Types.BanReason.REPEATEDLY_PLAYING_INAPPROPRIATE_GENRES:
-            translatedBanReason = PlugAPI.BAN_REASON.INAPPROPRIATE_GENRE;
-            break;
-        case Types.BanReason.NEGATIVE_ATTITUDE:
-            translatedBanReason = PlugAPI.BAN_REASON.NEGATIVE_ATTITUDE;
-            break;
-    }
-
-    // Actually send the request
-    var wasRequestSent = this.bot.moderateBanUser(userID, translatedBanReason, translatedBanDuration, function() {
-        // TODO: this callback wasn't ever called in testing.
-        // TODO: check the user's permissions relative to the target and the room.
-        LOG.info("ban callback: {}", arguments);
-        if (callback) {
-            var args = [].slice.call(arguments);
-            callback.apply(null, args);
-        }
+    var transport = this.transport;
+    return _performAction(this, "banUser", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.BOUNCER) || _checkBotOutranksUser(transport, userID);
+    }, function(onResponse) {
+        return transport.banUser(userID, banDuration, banReason, onResponse);
     });
-
-    if (!wasRequestSent) {
-        // TODO call callback
-    }
 }
 
 /**
@@ -160,7 +163,48 @@ Bot.prototype.banUser = function(userID, banDuration, banReason, callback) {
  */
 Bot.prototype.connect = function(roomName) {
     LOG.info("Attempting to connect to room {}", roomName);
-    this.bot.connect(roomName);
+    this._roomName = roomName;
+    this.transport.connect(roomName);
+}
+
+/**
+ * Attempts to delete a chat message. The bot must be at least a bouncer to do this.
+ *
+ * @param {string} chatID - The ID of the chat message to delete, as found on CHAT events
+ * @param {function} callback - Optional. If provided, will be called once the message is deleted,
+ *                              or once deleting has failed. The callback is passed a Boolean parameter
+ *                              which is true if the message was deleted, and an ActionError if it wasn't.
+ * @returns {Promise} A promise which resolves once the message is deleted, or rejects with an ActionError
+ */
+Bot.prototype.deleteChat = function(chatID, callback) {
+    Utils.checkNotEmpty(chatID, "PlugBotBase.deleteChat called without a chatID");
+
+    if (callback) {
+        Utils.checkHasType(callback, "function", "PlugBotBase.deleteChat called with a non-function value for 'callback' argument");
+    }
+
+    var transport = this.transport;
+    return _performAction(this, "deleteChat", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.BOUNCER);
+    }, function(onResponse) {
+        return transport.deleteChat(chatID, onResponse);
+    });
+}
+
+/**
+ * Disconnects the bot from the room, without attempting to reconnect. Any chat still
+ * waiting in the queue stays there unless the bot connects again.
+ */
+Bot.prototype.disconnect = function() {
+    LOG.info("Disconnecting from room {}", this._roomName);
+
+    if (this._reconnection) {
+        clearTimeout(this._reconnection.timeout);
+        this._reconnection = null;
+    }
+
+    this.isConnected = false;
+    this.transport.close();
 }
 
 /**
@@ -172,18 +216,15 @@ Bot.prototype.connect = function(roomName) {
  *                              a Boolean parameter which is true if a song was skipped.
  *                              (Skipping can fail for lack of permissions or just because
  *                              there is no current DJ.)
+ * @returns {Promise} A promise which resolves once the song is skipped, or rejects with an ActionError
  */
 Bot.prototype.forceSkip = function(callback) {
-    var wasSkipQueued = this.bot.moderateForceSkip(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "forceSkip", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.BOUNCER) || _checkHasCurrentDj(transport);
+    }, function(onResponse) {
+        return transport.forceSkip(onResponse);
     });
-
-    // If queuing failed our callback will never trigger, so do it now
-    if (!wasSkipQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -193,17 +234,15 @@ Bot.prototype.forceSkip = function(callback) {
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has grabbed, or once grabbing has failed. The callback
  *                              is passed a Boolean parameter which is true if the bot grabbed.
+ * @returns {Promise} A promise which resolves once the bot has grabbed, or rejects with an ActionError
  */
 Bot.prototype.grabSong = function(callback) {
-    var wasGrabQueued = this.bot.grab(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "grabSong", callback, function() {
+        return _checkHasCurrentDj(transport);
+    }, function(onResponse) {
+        return transport.grabSong(onResponse);
     });
-
-    if (!wasGrabQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -214,17 +253,13 @@ Bot.prototype.grabSong = function(callback) {
  *                              has joined the wait list, or once joining has failed.
  *                              The callback is passed a Boolean parameter which is true
  *                              if the bot joined the wait list.
+ * @returns {Promise} A promise which resolves once the bot has joined, or rejects with an ActionError
  */
 Bot.prototype.joinWaitList = function(callback) {
-    var wasJoinQueued = this.bot.joinBooth(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "joinWaitList", callback, null, function(onResponse) {
+        return transport.joinWaitList(onResponse);
     });
-
-    if (!wasJoinQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -235,17 +270,13 @@ Bot.prototype.joinWaitList = function(callback) {
  *                              has left the wait list, or once leaving has failed.
  *                              The callback is passed a Boolean parameter which is true
  *                              if the bot left the wait list.
+ * @returns {Promise} A promise which resolves once the bot has left, or rejects with an ActionError
  */
 Bot.prototype.leaveWaitList = function(callback) {
-    var wasLeaveQueued = this.bot.leaveBooth(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "leaveWaitList", callback, null, function(onResponse) {
+        return transport.leaveWaitList(onResponse);
     });
-
-    if (!wasLeaveQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -255,17 +286,15 @@ Bot.prototype.leaveWaitList = function(callback) {
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has mehed, or once mehing has failed. The callback
  *                              is passed a Boolean parameter which is true if the bot mehed.
+ * @returns {Promise} A promise which resolves once the bot has mehed, or rejects with an ActionError
  */
 Bot.prototype.mehSong = function(callback) {
-    var wasMehQueued = this.bot.meh(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "mehSong", callback, function() {
+        return _checkHasCurrentDj(transport);
+    }, function(onResponse) {
+        return transport.mehSong(onResponse);
     });
-
-    if (!wasMehQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -278,15 +307,45 @@ Bot.prototype.mehSong = function(callback) {
  *                              is not in the wait list, or already occupies this position in the
  *                              wait list. The callback is passed a Boolean parameter which is
  *                              true if the user was moved.
+ * @returns {Promise} A promise which resolves once the user is moved, or rejects with an ActionError
  */
 Bot.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
-    var wasRequestQueued = this.bot.moderateMoveDJ(userID, newPosition, function() {
-        callback(true);
+    var transport = this.transport;
+    return _performAction(this, "moveDjInWaitList", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.MANAGER) || _checkUserIsInWaitList(transport, userID);
+    }, function(onResponse) {
+        return transport.moveDjInWaitList(userID, newPosition, onResponse);
     });
+}
 
-    if (!wasRequestQueued && callback) {
-        callback(false);
+/**
+ * Attempts to mute a user, preventing them from chatting for a while. This fails if the bot
+ * isn't at least a bouncer, or if the target user is present and doesn't have a lower role
+ * than the bot.
+ *
+ * @param {mixed} userID - String or number representing the userID of the user to be muted
+ * @param {String} muteDuration - How long the mute should last, from the MuteDuration enum
+ * @param {String} muteReason - The reason the user is being muted, from the MuteReason enum
+ * @param {function} callback - Optional. If provided, will be called once the mute is done (whether
+ *                              succeeded or failed). The callback is passed a Boolean parameter which
+ *                              is true if the user was muted, and an ActionError if they weren't.
+ * @returns {Promise} A promise which resolves once the user is muted, or rejects with an ActionError
+ */
+Bot.prototype.muteUser = function(userID, muteDuration, muteReason, callback) {
+    Utils.checkHasValue(userID, "PlugBotBase.muteUser called without a userID");
+    Utils.checkValueIsInObject(muteDuration, Types.MuteDuration, "PlugBotBase.muteUser called with an invalid MuteDuration: " + muteDuration);
+    Utils.checkValueIsInObject(muteReason, Types.MuteReason, "PlugBotBase.muteUser called with an invalid MuteReason: " + muteReason);
+
+    if (callback) {
+        Utils.checkHasType(callback, "function", "PlugBotBase.muteUser called with a non-function value for 'callback' argument");
     }
+
+    var transport = this.transport;
+    return _performAction(this, "muteUser", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.BOUNCER) || _checkBotOutranksUser(transport, userID);
+    }, function(onResponse) {
+        return transport.muteUser(userID, muteDuration, muteReason, onResponse);
+    });
 }
 
 /**
@@ -309,11 +368,88 @@ Bot.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
  * // outputs "The event is {"type":"vote"}
  * bot.sendChat("The event is {}", { type: "vote" });
  *
+ * Messages aren't sent immediately; they go into a queue which is rate limited to avoid
+ * plug.dj's flood protection (see PlugBotBase.chatBurstSize and chatIntervalInMilliseconds).
+ * Messages longer than PlugBotBase.maxChatMessageLength are split into several, at word
+ * boundaries where possible.
+ *
  * @param {String} message - The message to send from the bot.
+ * @returns {Promise} A promise which resolves once the message has been delivered, meaning plug.dj has echoed
+ *                    it back to the bot. It resolves to an object with the deliveryDate (a UNIX timestamp)
+ *                    and the parts the message was split into. If any part isn't echoed within
+ *                    PlugBotBase.actionTimeoutInSeconds of leaving the queue, it rejects with an ActionError.
  */
 Bot.prototype.sendChat = function(message /*, varargs */) {
     message = Utils.replaceStringPlaceholders(message, arguments);
-    this.bot.sendChat(message);
+    return this._chatQueue.enqueue(message, Types.ChatPriority.NORMAL);
+}
+
+/**
+ * Sends a chat message from the bot to the room, with the given priority. Queued messages
+ * with a higher priority are sent before those with a lower one, which lets moderation
+ * notices jump ahead of regular chatter. Otherwise this works exactly like sendChat,
+ * including placeholder substitution.
+ *
+ * @example
+ * bot.sendChatWithPriority(ChatPriority.HIGH, "{} has been banned for spamming", "spambot");
+ *
+ * @param {String} priority - The priority of the message, from the ChatPriority enum
+ * @param {String} message - The message to send from the bot.
+ * @returns {Promise} A promise which resolves once the message has been delivered, as with sendChat
+ */
+Bot.prototype.sendChatWithPriority = function(priority, message /*, varargs */) {
+    Utils.checkValueIsInObject(priority, Types.ChatPriority, "PlugBotBase.sendChatWithPriority called with an invalid ChatPriority: " + priority);
+
+    message = Utils.replaceStringPlaceholders(message, [].slice.call(arguments, 1));
+    return this._chatQueue.enqueue(message, priority);
+}
+
+/**
+ * Attempts to lift a user's ban from the room. The bot must be at least a manager to do this.
+ *
+ * @param {mixed} userID - String or number representing the userID of the user to be unbanned
+ * @param {function} callback - Optional. If provided, will be called once the unban is done (whether
+ *                              succeeded or failed). The callback is passed a Boolean parameter which
+ *                              is true if the user was unbanned, and an ActionError if they weren't.
+ * @returns {Promise} A promise which resolves once the user is unbanned, or rejects with an ActionError
+ */
+Bot.prototype.unbanUser = function(userID, callback) {
+    Utils.checkHasValue(userID, "PlugBotBase.unbanUser called without a userID");
+
+    if (callback) {
+        Utils.checkHasType(callback, "function", "PlugBotBase.unbanUser called with a non-function value for 'callback' argument");
+    }
+
+    var transport = this.transport;
+    return _performAction(this, "unbanUser", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.MANAGER);
+    }, function(onResponse) {
+        return transport.unbanUser(userID, onResponse);
+    });
+}
+
+/**
+ * Attempts to lift a user's mute. The bot must be at least a manager to do this.
+ *
+ * @param {mixed} userID - String or number representing the userID of the user to be unmuted
+ * @param {function} callback - Optional. If provided, will be called once the unmute is done (whether
+ *                              succeeded or failed). The callback is passed a Boolean parameter which
+ *                              is true if the user was unmuted, and an ActionError if they weren't.
+ * @returns {Promise} A promise which resolves once the user is unmuted, or rejects with an ActionError
+ */
+Bot.prototype.unmuteUser = function(userID, callback) {
+    Utils.checkHasValue(userID, "PlugBotBase.unmuteUser called without a userID");
+
+    if (callback) {
+        Utils.checkHasType(callback, "function", "PlugBotBase.unmuteUser called with a non-function value for 'callback' argument");
+    }
+
+    var transport = this.transport;
+    return _performAction(this, "unmuteUser", callback, function() {
+        return _checkBotRole(transport, Types.UserRole.MANAGER);
+    }, function(onResponse) {
+        return transport.unmuteUser(userID, onResponse);
+    });
 }
 
 /**
@@ -323,37 +459,611 @@ Bot.prototype.sendChat = function(message /*, varargs */) {
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has wooted, or once wooting has failed. The callback
  *                              is passed a Boolean parameter which is true if the bot wooted.
+ * @returns {Promise} A promise which resolves once the bot has wooted, or rejects with an ActionError
  */
 Bot.prototype.wootSong = function(callback) {
-    var wasWootQueued = this.bot.woot(function() {
-        if (callback) {
-            callback(true);
-        }
+    var transport = this.transport;
+    return _performAction(this, "wootSong", callback, function() {
+        return _checkHasCurrentDj(transport);
+    }, function(onResponse) {
+        return transport.wootSong(onResponse);
     });
+}
 
-    if (!wasWootQueued && callback) {
-        callback(false);
+/**
+ * Dispatches an event which was registered with registerEvent, so that modules can tell
+ * each other about things happening in the application. The event goes through middleware
+ * and to listeners exactly as the events from the room do.
+ *
+ * @example
+ * bot.registerEvent("songBlacklisted");
+ * bot.emit("songBlacklisted", { contentID: media.contentID, userID: event.userID });
+ *
+ * @param {string} eventName - The name of the event, as given to registerEvent
+ * @param {object} payload - Optional. The event object to pass to listeners; it's copied, with eventName added
+ */
+Bot.prototype.emit = function(eventName, payload) {
+    if (_isBuiltInEvent(eventName)) {
+        throw new Error("PlugBotBase.emit called with the built-in event '" + eventName + "'. Only events registered with registerEvent can be emitted.");
+    }
+
+    if (!this.eventHandlers[eventName]) {
+        throw new Error("PlugBotBase.emit called with the unknown event '" + eventName + "'. Events must be registered with registerEvent before they're emitted.");
     }
+
+    var event = {};
+    for (var key in payload) {
+        event[key] = payload[key];
+    }
+
+    _dispatchEvent(this, eventName, event);
+}
+
+/**
+ * Retrieves the prefixes which turn a chat message into a command. These come from
+ * PlugBotBase.commandPrefix, which can be a single prefix or an array of them. If
+ * PlugBotBase.isMentionPrefixEnabled is set, mentioning the bot (e.g. "@MyBot skip")
+ * works as a prefix too.
+ *
+ * @returns {array} The command prefixes currently in effect
+ */
+Bot.prototype.getCommandPrefixes = function() {
+    var config = this._globalObject.config.PlugBotBase;
+    var prefixes = Array.isArray(config.commandPrefix) ? config.commandPrefix.slice() : [config.commandPrefix];
+
+    if (config.isMentionPrefixEnabled) {
+        var self = this.transport.getSelf();
+        if (self) {
+            prefixes.push("@" + self.username + " ");
+        }
+    }
+
+    return prefixes;
+}
+
+/**
+ * @returns {array} The name of every event which can be subscribed to: those in the Event enum,
+ *                  followed by any registered with registerEvent
+ */
+Bot.prototype.getEventNames = function() {
+    return Object.keys(this.eventHandlers);
+}
+
+/**
+ * Unsubscribes from an event. Callbacks which are unsubscribed while an event is being
+ * dispatched aren't called for that event, if they haven't been already.
+ *
+ * @param {object} handle - A handle returned by on or once
+ * @returns {boolean} True if the subscription was removed, or false if it had already been
+ */
+Bot.prototype.off = function(handle) {
+    Utils.checkHasValue(handle, "PlugBotBase.off called without a handle; it takes the handle returned by on");
+
+    var handlers = this.eventHandlers[handle.eventName] || [];
+    var index = handlers.indexOf(handle);
+
+    if (index < 0) {
+        return false;
+    }
+
+    handlers.splice(index, 1);
+    handle.isRemoved = true;
+    return true;
 }
 
 /**
  * Subscribes to the specified event. The given callback will be called with an
  * event object which is specific to each event.
  *
+ * If the callback throws, the error is logged and dispatched as the ERROR event, and the
+ * event still goes to every other listener. See PlugBotBase.maxConsecutiveHandlerFailures
+ * for disabling callbacks which keep failing.
+ *
+ * Callbacks with a higher priority are called first, and callbacks with the same priority
+ * are called in the order they subscribed. Whatever their priority, the StateTracker's own
+ * callbacks are always called before any others, so that roomState is up to date.
+ *
  * @param {string} eventName - The event to subscribe to, from the Event enum
  * @param {function} callback - A function to call when the event is triggered
  * @param {object} context - An optional context which will be set when calling the callback
+ * @param {object} options - Optional. Supports the following keys:
+ *                           priority - a finite number; defaults to 0
+ *                           source - a description of where the callback comes from, such as the
+ *                                    file of the module it belongs to, for logging when it fails
+ * @returns {object} A handle for the subscription, to pass to off; or null if the event is unknown
  */
-Bot.prototype.on = function(eventName, callback, /* optional */ context) {
+Bot.prototype.on = function(eventName, callback, /* optional */ context, /* optional */ options) {
+    options = options || {};
+
+    if (typeof options.priority !== "undefined" && (typeof options.priority !== "number" || !isFinite(options.priority))) {
+        throw new Error("PlugBotBase.on called with an invalid priority: " + options.priority + ". Priorities must be finite numbers.");
+    }
+
+    return this._addHandler(eventName, callback, context, options);
+}
+
+/**
+ * Subscribes to the specified event, for its next occurrence only. Otherwise this works
+ * exactly like on.
+ *
+ * @param {string} eventName - The event to subscribe to, from the Event enum
+ * @param {function} callback - A function to call when the event is next triggered
+ * @param {object} context - An optional context which will be set when calling the callback
+ * @param {object} options - Optional. The same options as for on
+ * @returns {object} A handle for the subscription, to pass to off if it's no longer wanted; or null
+ *                   if the event is unknown
+ */
+Bot.prototype.once = function(eventName, callback, /* optional */ context, /* optional */ options) {
+    var handle = this.on(eventName, callback, context, options);
+
+    if (handle) {
+        handle.isOnce = true;
+    }
+
+    return handle;
+}
+
+/**
+ * Registers an application-defined event, which can then be subscribed to with on and
+ * dispatched with emit. Registering an event which is already registered does nothing, so
+ * every module which uses an event can register it without worrying about which goes first.
+ *
+ * @param {string} eventName - The name of the event; it can't be the name of an event in the Event enum
+ */
+Bot.prototype.registerEvent = function(eventName) {
+    Utils.checkHasType(eventName, "string", "PlugBotBase.registerEvent called with a non-string event name");
+    Utils.checkNotEmpty(eventName, "PlugBotBase.registerEvent called with an empty event name");
+
+    if (_isBuiltInEvent(eventName)) {
+        throw new Error("Unable to register the event '" + eventName + "', since it's a built-in event");
+    }
+
     if (!this.eventHandlers[eventName]) {
-        LOG.error("Received a request to hook into an unknown event called '{}'. Request will be ignored.", eventName);
+        this.eventHandlers[eventName] = [];
+        LOG.info("Registered the custom event '{}'", eventName);
+    }
+}
+
+/**
+ * Registers a function which rebuilds some state after the bot reconnects to the room,
+ * such as the StateTracker's room state. The RECONNECTED event is only dispatched once
+ * every state loader has finished.
+ *
+ * @param {function} loader - Called with the global object and a callback to call once loading is done
+ */
+Bot.prototype.registerStateLoader = function(loader) {
+    Utils.checkHasType(loader, "function", "PlugBotBase.registerStateLoader called with a non-function value");
+    this._stateLoaders.push(loader);
+}
+
+/**
+ * Adds middleware which every event passes through before reaching its listeners, in the
+ * order the middleware was added. Middleware is called with the translated event, the global
+ * object, and a next function which passes the event on to the next middleware, and finally
+ * to the listeners. Middleware can:
+ *
+ *     inspect or enrich the event, by reading or adding to it before calling next
+ *     veto the event, by not calling next; no listeners will see it, including the StateTracker's
+ *     transform the event, by passing a replacement event object to next
+ *     run after the listeners, since next only returns once they (and later middleware) have run
+ *
+ * Since each event carries its eventName, middleware can be limited to particular events.
+ * This includes CHAT_COMMAND, so middleware can also keep commands from being handled.
+ *
+ * Middleware which throws is treated like a failing event handler (see on), and if it
+ * hasn't called next yet, the event carries on without it.
+ *
+ * @example
+ * bot.use(function(event, globalObject, next) {
+ *     var startTime = Date.now();
+ *     next();
+ *     LOG.debug("Handled {} in {}ms", event.eventName, Date.now() - startTime);
+ * });
+ *
+ * @param {function} middleware - A function taking the event, the global object and a next function
+ */
+Bot.prototype.use = function(middleware) {
+    Utils.checkHasType(middleware, "function", "PlugBotBase.use called with a non-function value");
+
+    // Middleware is guarded in the same way as event handlers, so it's kept in the same form
+    this._middleware.push({
+        callback: middleware,
+        context: null,
+        source: middleware.name ? "middleware function " + middleware.name : "anonymous middleware"
+    });
+}
+
+/**
+ * Handles the transport reporting that the connection has dropped: notifies
+ * listeners via the DISCONNECTED event, then starts trying to reconnect.
+ */
+Bot.prototype._onDisconnected = function() {
+    if (!this.isConnected) {
+        // Either we never connected, or we're already reconnecting
+        return;
+    }
+
+    var config = this._globalObject.config.PlugBotBase;
+
+    this.isConnected = false;
+    this._reconnection = {
+        attempts: 0,
+        disconnectDate: Date.now(),
+        timeout: null
+    };
+
+    LOG.warn("Lost the connection to room {}", this._roomName);
+    _dispatchEvent(this, Types.Event.DISCONNECTED, {
+        disconnectDate: this._reconnection.disconnectDate
+    });
+
+    if (!config.shouldReconnect) {
+        LOG.warn("Automatic reconnection is disabled by PlugBotBase.shouldReconnect. The bot will stay disconnected.");
+        return;
+    }
+
+    this._scheduleReconnect();
+}
+
+/**
+ * Waits for the current backoff delay, then attempts to reconnect. If the room isn't
+ * joined within PlugBotBase.roomJoinTimeoutInSeconds, another attempt is scheduled with
+ * twice the delay, up to PlugBotBase.reconnectMaxDelayInSeconds.
+ */
+Bot.prototype._scheduleReconnect = function() {
+    var config = this._globalObject.config.PlugBotBase;
+    var reconnection = this._reconnection;
+    var delayInSeconds = Math.min(config.reconnectInitialDelayInSeconds * Math.pow(2, reconnection.attempts), config.reconnectMaxDelayInSeconds);
+
+    LOG.info("Attempting to reconnect in {} seconds", delayInSeconds);
+
+    var self = this;
+    reconnection.timeout = setTimeout(function() {
+        reconnection.attempts++;
+        LOG.info("Reconnection attempt {} to room {}", reconnection.attempts, self._roomName);
+
+        self.transport.close();
+        self.transport.connect(self._roomName);
+
+        reconnection.timeout = setTimeout(function() {
+            LOG.warn("Reconnection attempt {} timed out", reconnection.attempts);
+            self._scheduleReconnect();
+        }, config.roomJoinTimeoutInSeconds * 1000);
+    }, delayInSeconds * 1000);
+}
+
+/**
+ * Dispatches raw chat events as CHAT, preceded by CHAT_COMMAND if the message is a
+ * command. As with PlugAPI, commands aren't accepted from muted users or the bot itself.
+ * The bot's own messages also confirm the delivery of what it's sent.
+ *
+ * @param {object} event - The raw chat event
+ */
+Bot.prototype._onChat = function(event) {
+    var commandPrefixes = this.getCommandPrefixes();
+    var self = this.transport.getSelf();
+    var isFromSelf = self && event.from && event.from.id === self.id;
+
+    if (isFromSelf) {
+        this._chatQueue.confirmDelivery(event.message);
+    }
+
+    if (event.from && !event.muted && !isFromSelf) {
+        var commandEvent = Translator.translateCommandEvent(event, commandPrefixes);
+
+        if (commandEvent) {
+            _dispatchEvent(this, Types.Event.CHAT_COMMAND, commandEvent);
+        }
+    }
+
+    _dispatchEvent(this, Types.Event.CHAT, Translator.translateChatEvent(event, commandPrefixes));
+}
+
+/**
+ * Notifies listeners via the CONFIG_CHANGED event that configuration has been reloaded.
+ *
+ * @param {array} changedKeys - The key paths of every value which changed, e.g. "PlugBotBase.commandPrefix"
+ */
+Bot.prototype._onConfigChanged = function(changedKeys) {
+    _dispatchEvent(this, Types.Event.CONFIG_CHANGED, {
+        changedKeys: changedKeys
+    });
+}
+
+/**
+ * Marks the bot as connected when it joins the room. If the join is the result of a
+ * reconnection, all of the state loaders are run before RECONNECTED is dispatched.
+ */
+Bot.prototype._onRoomJoin = function() {
+    var reconnection = this._reconnection;
+
+    if (!reconnection) {
+        this.isConnected = true;
+        this._chatQueue.drain();
+        return;
+    }
+
+    clearTimeout(reconnection.timeout);
+    this._reconnection = null;
+
+    LOG.info("Reconnected to room {} after {} attempt(s). Reloading room state.", this._roomName, reconnection.attempts);
+
+    var self = this;
+    var remainingLoaders = this._stateLoaders.length;
+    var onLoaderComplete = function() {
+        remainingLoaders--;
+
+        if (remainingLoaders > 0) {
+            return;
+        }
+
+        self.isConnected = true;
+        self._chatQueue.drain();
+
+        _dispatchEvent(self, Types.Event.RECONNECTED, {
+            disconnectDate: reconnection.disconnectDate,
+            numberOfAttempts: reconnection.attempts,
+            reconnectDate: Date.now()
+        });
+    };
+
+    if (remainingLoaders === 0) {
+        remainingLoaders = 1;
+        onLoaderComplete();
         return;
     }
 
-    this.eventHandlers[eventName].push({
+    for (var i = 0; i < this._stateLoaders.length; i++) {
+        this._stateLoaders[i](this._globalObject, onLoaderComplete);
+    }
+}
+
+/**
+ * Subscribes to an event, in the same way as on, but without checking the priority. This lets
+ * PlugBotBase's internal subscriptions use priorities which modules can't, such as the
+ * StateTracker's, whose priority of Infinity puts it ahead of everything else.
+ *
+ * @returns {object} The handle for the subscription, or null if the event is unknown
+ */
+Bot.prototype._addHandler = function(eventName, callback, context, options) {
+    if (!this.eventHandlers[eventName]) {
+        LOG.error("Received a request to hook into an unknown event called '{}'. Request will be ignored. " +
+                  "Custom events need to be registered with registerEvent first.", eventName);
+        return null;
+    }
+
+    Utils.checkHasType(callback, "function", "PlugBotBase.on called with a non-function callback for event " + eventName);
+
+    var handler = {
         callback: callback,
-        context: context
+        context: context,
+        eventName: eventName,
+        priority: options.priority || 0,
+        source: options.source || (callback.name ? "function " + callback.name : "an anonymous function")
+    };
+
+    // Keep handlers sorted by priority, with later subscriptions after earlier ones of the same priority
+    var handlers = this.eventHandlers[eventName];
+    var index = handlers.length;
+    while (index > 0 && handlers[index - 1].priority < handler.priority) {
+        index--;
+    }
+
+    handlers.splice(index, 0, handler);
+    return handler;
+}
+
+/**
+ * Calls an event handler, guarding against it throwing so that one failing handler can't
+ * keep an event from the rest (such as the StateTracker's). Handlers which have been disabled
+ * for failing too often aren't called at all.
+ *
+ * @param {object} handler - The handler, of the form { callback, context, source }; failures are tracked on it
+ * @param {string} eventName - The event being handled, from the Event enum
+ * @param {array} args - The arguments to call the handler's callback with
+ * @returns {boolean} True if the handler was called and returned normally
+ */
+Bot.prototype._callHandler = function(handler, eventName, args) {
+    if (handler.isDisabled) {
+        return false;
+    }
+
+    try {
+        handler.callback.apply(handler.context, args);
+    }
+    catch (e) {
+        this._onHandlerError(handler, eventName, e);
+        return false;
+    }
+
+    handler.consecutiveFailures = 0;
+    return true;
+}
+
+/**
+ * Logs an error thrown by an event handler and notifies listeners via the ERROR event.
+ *
+ * If the handler has now failed PlugBotBase.maxConsecutiveHandlerFailures times in a row,
+ * it's disabled until the bot restarts or its module is reloaded; a limit of 0 (the default)
+ * means handlers are never disabled. If PlugBotBase.shouldNotifyStaffOfDisabledHandlers is
+ * set, staff are told in chat when a handler is disabled.
+ *
+ * @param {object} handler - The handler which threw
+ * @param {string} eventName - The event it was handling
+ * @param {mixed} error - Whatever it threw
+ */
+Bot.prototype._onHandlerError = function(handler, eventName, error) {
+    var config = this._globalObject.config.PlugBotBase;
+
+    handler.consecutiveFailures = (handler.consecutiveFailures || 0) + 1;
+    LOG.error("The handler from {} threw an error while handling event '{}'. Error: {}", handler.source, eventName, (error && error.stack) || error);
+
+    if (config.maxConsecutiveHandlerFailures > 0 && handler.consecutiveFailures >= config.maxConsecutiveHandlerFailures) {
+        handler.isDisabled = true;
+        LOG.warn("Disabled the handler from {} for event '{}' after it failed {} times in a row", handler.source, eventName, handler.consecutiveFailures);
+
+        if (config.shouldNotifyStaffOfDisabledHandlers) {
+            this.sendChatWithPriority(Types.ChatPriority.HIGH, "@staff The handler from {} for event '{}' failed {} times in a row and has been disabled",
+                                      handler.source, eventName, handler.consecutiveFailures);
+        }
+    }
+
+    // An ERROR listener which fails is only logged, rather than raising yet another ERROR
+    if (eventName !== Types.Event.ERROR) {
+        _dispatchEvent(this, Types.Event.ERROR, {
+            consecutiveFailures: handler.consecutiveFailures,
+            error: error,
+            failedEventName: eventName,
+            isHandlerDisabled: !!handler.isDisabled,
+            source: handler.source
+        });
+    }
+}
+
+/**
+ * Performs one of the Bot's actions, taking care of everything common to all of them:
+ * checking preconditions, timing out, reporting the outcome through both the optional
+ * Boolean callback and the returned promise, and logging failures.
+ *
+ * The returned promise never causes an unhandled rejection on its own, since many
+ * callers fire off actions without waiting on the result.
+ *
+ * @param {object} bot - The Bot performing the action
+ * @param {string} actionName - The name of the Bot method, used in errors and logging
+ * @param {function} callback - Optional. A legacy callback, passed true on success or false and the error on failure
+ * @param {function} checkPreconditions - Optional. Returns an ActionError if the action can't succeed, or null
+ * @param {function} sendRequest - Sends the request via the transport, passing along the response
+ *                                 callback it's given, and returns whether the request was sent
+ * @returns {Promise} A promise which resolves on success or rejects with an ActionError
+ */
+function _performAction(bot, actionName, callback, checkPreconditions, sendRequest) {
+    var timeoutInSeconds = bot._globalObject.config.PlugBotBase.actionTimeoutInSeconds;
+
+    var promise = new Promise(function(resolve, reject) {
+        if (!bot.isConnected) {
+            reject(new ActionError(actionName, ActionFailureReason.NOT_CONNECTED, "The bot isn't connected to the room"));
+            return;
+        }
+
+        var preconditionError = checkPreconditions ? checkPreconditions() : null;
+        if (preconditionError) {
+            preconditionError.action = actionName;
+            reject(preconditionError);
+            return;
+        }
+
+        var isComplete = false;
+        var timeout = setTimeout(function() {
+            isComplete = true;
+            reject(new ActionError(actionName, ActionFailureReason.TIMEOUT, "No response received within " + timeoutInSeconds + " seconds"));
+        }, timeoutInSeconds * 1000);
+
+        var wasRequestSent = sendRequest(function(error) {
+            if (isComplete) {
+                return;
+            }
+
+            isComplete = true;
+            clearTimeout(timeout);
+
+            if (error) {
+                reject(new ActionError(actionName, ActionFailureReason.REQUEST_REJECTED, "The request failed: " + (error.message || JSON.stringify(error))));
+            }
+            else {
+                resolve();
+            }
+        });
+
+        // If the request wasn't sent, the response callback will never trigger
+        if (!wasRequestSent && !isComplete) {
+            isComplete = true;
+            clearTimeout(timeout);
+            reject(new ActionError(actionName, ActionFailureReason.REQUEST_REJECTED, "The request was refused before being sent"));
+        }
     });
+
+    promise.then(function() {
+        if (callback) {
+            callback(true);
+        }
+    }, function(error) {
+        LOG.info("Action {} failed with reason {}: {}", actionName, error.reason, error.message);
+
+        if (callback) {
+            callback(false, error);
+        }
+    });
+
+    return promise;
+}
+
+/**
+ * Precondition check: the bot must have at least the given role.
+ */
+function _checkBotRole(transport, minimumRole) {
+    var self = Translator.translateUserObject(transport.getSelf());
+
+    if (!self || self.role.level < minimumRole.level) {
+        return new ActionError(null, ActionFailureReason.NOT_PERMITTED, "The bot needs to be at least " + minimumRole.name + " to do this");
+    }
+
+    return null;
+}
+
+/**
+ * Precondition check: the bot must have a higher role than the given user, if they're in the room.
+ */
+function _checkBotOutranksUser(transport, userID) {
+    var self = Translator.translateUserObject(transport.getSelf());
+    var user = _findRawUser(transport.getUsers(), userID);
+
+    if (user && Translator.translateRole(user.role).level >= self.role.level) {
+        return new ActionError(null, ActionFailureReason.NOT_PERMITTED, "The bot's role isn't higher than that of user " + userID);
+    }
+
+    return null;
+}
+
+/**
+ * Precondition check: something must be playing.
+ */
+function _checkHasCurrentDj(transport) {
+    if (!transport.getDJ() || !transport.getMedia()) {
+        return new ActionError(null, ActionFailureReason.NO_CURRENT_DJ, "There is no current DJ");
+    }
+
+    return null;
+}
+
+/**
+ * Precondition check: the given user must be in the wait list (not counting the current DJ).
+ */
+function _checkUserIsInWaitList(transport, userID) {
+    if (!_findRawUser(transport.getWaitList(), userID)) {
+        return new ActionError(null, ActionFailureReason.USER_NOT_FOUND, "User " + userID + " isn't in the wait list");
+    }
+
+    return null;
+}
+
+function _findRawUser(users, userID) {
+    for (var i = 0; i < users.length; i++) {
+        if (users[i].id === userID) {
+            return users[i];
+        }
+    }
+
+    return null;
+}
+
+function _isBuiltInEvent(eventName) {
+    for (var eventKey in Types.Event) {
+        if (Types.Event[eventKey] === eventName) {
+            return true;
+        }
+    }
+
+    return false;
 }
 
 /**
@@ -361,24 +1071,82 @@ Bot.prototype.on = function(eventName, callback, /* optional */ context) {
  *
  * @param {string} internalEventName - The event name from the Event enum
  * @param {function} translator - A function which translates from the PlugAPI event to an internal model
- * @param {object} globalObject - The object representing global application state
  * @returns {function} An event dispatcher function appropriate to the event
  */
-function _createEventDispatcher(internalEventName, translator, globalObject) {
+function _createEventDispatcher(internalEventName, translator) {
     return function(event) {
-        var handlers = this.eventHandlers[internalEventName];
         var internalObject = translator(event);
 
         if (!internalObject) {
             return;
         }
 
-        internalObject.eventName = internalEventName;
+        _dispatchEvent(this, internalEventName, internalObject);
+    };
+}
+
+/**
+ * Dispatches an already-translated event to all of its listeners, by way of the bot's middleware.
+ *
+ * @param {object} bot - The Bot whose listeners should be called
+ * @param {string} internalEventName - The event name, from the Event enum or registered with registerEvent
+ * @param {object} internalObject - The event object to pass to listeners
+ */
+function _dispatchEvent(bot, internalEventName, internalObject) {
+    // Middleware added while an event is being dispatched only sees later events
+    var middleware = bot._middleware.slice();
+
+    var dispatchFrom = function(index, event) {
+        event.eventName = internalEventName;
+
+        if (index >= middleware.length) {
+            _callHandlers(bot, internalEventName, event);
+            return;
+        }
+
+        var hasCalledNext = false;
+        var next = function(replacementEvent) {
+            if (hasCalledNext) {
+                LOG.warn("Middleware called next more than once for event {}. Ignoring the extra call.", internalEventName);
+                return;
+            }
+
+            hasCalledNext = true;
+            dispatchFrom(index + 1, replacementEvent || event);
+        };
 
-        for (var i = 0; i < handlers.length; i++) {
-            handlers[i].callback.call(handlers[i].context, internalObject, globalObject);
+        // Middleware which throws (or has been disabled) before calling next is skipped, rather
+        // than keeping the event from its listeners
+        if (!bot._callHandler(middleware[index], internalEventName, [event, bot._globalObject, next]) && !hasCalledNext) {
+            next();
         }
     };
+
+    dispatchFrom(0, internalObject);
+}
+
+/**
+ * Calls every listener of an event, once it has made it through all of the middleware.
+ *
+ * @param {object} bot - The Bot whose listeners should be called
+ * @param {string} internalEventName - The event name from the Event enum
+ * @param {object} internalObject - The event object to pass to listeners
+ */
+function _callHandlers(bot, internalEventName, internalObject) {
+    // Handlers can subscribe and unsubscribe while they're being called, so work from a copy
+    var handlers = bot.eventHandlers[internalEventName].slice();
+
+    for (var i = 0; i < handlers.length; i++) {
+        if (handlers[i].isRemoved) {
+            continue;
+        }
+
+        if (handlers[i].isOnce) {
+            bot.off(handlers[i]);
+        }
+
+        bot._callHandler(handlers[i], internalEventName, [internalObject, bot._globalObject]);
+    }
 }
 
 exports.Bot = Bot;
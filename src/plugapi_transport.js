@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * The default transport, which connects to plug.dj through PlugAPI. It can also
+ * wrap any other PlugAPI-compatible client, such as a SimulatedRoom.
+ *
+ * This is the only place in PlugBotBase which knows about PlugAPI's method names
+ * and constants; if PlugAPI changes, hopefully only this file will need to follow.
+ */
+
+var util = require("util");
+
+var Log = require("./log");
+var Transport = require("./transport");
+var Types = require("./types");
+
+var LOG = new Log("PlugBotBase-PlugApiTransport");
+
+/**
+ * Creates a new transport. If no client is provided, PlugAPI is loaded and
+ * logs in to plug.dj using the credentials given.
+ *
+ * @param {object} credentials - The email and password to log in to plug.dj with
+ * @param {object} client - Optional. A PlugAPI-compatible client to use instead of PlugAPI. Its
+ *                          constructor must expose the same static constants that PlugAPI does
+ *                          (BAN, BAN_REASON, MUTE, MUTE_REASON and events), as SimulatedRoom's does.
+ */
+function PlugApiTransport(credentials, client) {
+    Transport.call(this);
+
+    if (client) {
+        this.client = client;
+    }
+    else {
+        // Loaded lazily, since merely requiring PlugAPI keeps the process alive
+        var PlugAPI = require("plugapi");
+
+        LOG.info("Attempting to log in with email {}", credentials.email);
+        this.client = new PlugAPI(credentials);
+        LOG.info("Logged in successfully");
+    }
+
+    this._api = this.client.constructor;
+    this._hasJoinedRoom = false;
+    this._isConnecting = false;
+
+    // PlugAPI doesn't tell us when its socket drops; it just quietly reconnects. We can
+    // infer it from the socket opening again (or the session being killed) when we aren't
+    // in the middle of connecting ourselves.
+    var self = this;
+    var onConnectionLost = function() {
+        if (self._hasJoinedRoom && !self._isConnecting) {
+            self._hasJoinedRoom = false;
+            self.client.emit("disconnected");
+        }
+    };
+
+    this.client.on("connected", onConnectionLost);
+    this.client.on("killSession", onConnectionLost);
+    this.client.on("roomJoin", function() {
+        self._hasJoinedRoom = true;
+        self._isConnecting = false;
+    });
+}
+
+util.inherits(PlugApiTransport, Transport);
+
+PlugApiTransport.prototype.connect = function(roomName) {
+    this._isConnecting = true;
+    this.client.connect(roomName);
+};
+
+PlugApiTransport.prototype.close = function() {
+    this.client.close();
+};
+
+PlugApiTransport.prototype.on = function(eventName, handler) {
+    this.client.on(eventName, handler);
+};
+
+PlugApiTransport.prototype.getRawEventNames = function() {
+    var names = [];
+    for (var eventKey in this._api.events) {
+        var eventName = this._api.events[eventKey];
+        if (names.indexOf(eventName) < 0) {
+            names.push(eventName);
+        }
+    }
+
+    return names;
+};
+
+PlugApiTransport.prototype.getDJ = function() {
+    return this.client.getDJ();
+};
+
+PlugApiTransport.prototype.getHistory = function(callback) {
+    this.client.getHistory(callback);
+};
+
+PlugApiTransport.prototype.getMedia = function() {
+    return this.client.getMedia();
+};
+
+PlugApiTransport.prototype.getSelf = function() {
+    return this.client.getSelf();
+};
+
+PlugApiTransport.prototype.getTimeElapsed = function() {
+    return this.client.getTimeElapsed();
+};
+
+PlugApiTransport.prototype.getUsers = function() {
+    return this.client.getUsers();
+};
+
+PlugApiTransport.prototype.getWaitList = function() {
+    return this.client.getWaitList();
+};
+
+PlugApiTransport.prototype.banUser = function(userID, banDuration, banReason, callback) {
+    // Translate from our model to PlugAPI
+    var translatedBanDuration, translatedBanReason;
+
+    switch (banDuration) {
+        case Types.BanDuration.HOUR:
+            translatedBanDuration = this._api.BAN.HOUR;
+            break;
+        case Types.BanDuration.DAY:
+            translatedBanDuration = this._api.BAN.DAY;
+            break;
+        case Types.BanDuration.FOREVER:
+            translatedBanDuration = this._api.BAN.PERMA;
+            break;
+    }
+
+    switch (banReason) {
+        case Types.BanReason.SPAMMING_OR_TROLLING:
+            translatedBanReason = this._api.BAN_REASON.SPAMMING_TROLLING;
+            break;
+        case Types.BanReason.VERBAL_ABUSE_OR_OFFENSIVE_LANGUAGE:
+            translatedBanReason = this._api.BAN_REASON.VERBAL_ABUSE;
+            break;
+        case Types.BanReason.PLAYING_OFFENSIVE_MEDIA:
+            translatedBanReason = this._api.BAN_REASON.OFFENSIVE_MEDIA;
+            break;
+        case Types.BanReason.REPEATEDLY_PLAYING_INAPPROPRIATE_GENRES:
+            translatedBanReason = this._api.BAN_REASON.INAPPROPRIATE_GENRE;
+            break;
+        case Types.BanReason.NEGATIVE_ATTITUDE:
+            translatedBanReason = this._api.BAN_REASON.NEGATIVE_ATTITUDE;
+            break;
+    }
+
+    return this.client.moderateBanUser(userID, translatedBanReason, translatedBanDuration, callback);
+};
+
+PlugApiTransport.prototype.deleteChat = function(chatID, callback) {
+    return this.client.moderateDeleteChat(chatID, callback);
+};
+
+PlugApiTransport.prototype.forceSkip = function(callback) {
+    return this.client.moderateForceSkip(callback);
+};
+
+PlugApiTransport.prototype.grabSong = function(callback) {
+    return this.client.grab(callback);
+};
+
+PlugApiTransport.prototype.joinWaitList = function(callback) {
+    return this.client.joinBooth(callback);
+};
+
+PlugApiTransport.prototype.leaveWaitList = function(callback) {
+    return this.client.leaveBooth(callback);
+};
+
+PlugApiTransport.prototype.mehSong = function(callback) {
+    return this.client.meh(callback);
+};
+
+PlugApiTransport.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
+    return this.client.moderateMoveDJ(userID, newPosition, callback);
+};
+
+PlugApiTransport.prototype.muteUser = function(userID, muteDuration, muteReason, callback) {
+    // Translate from our model to PlugAPI
+    var translatedMuteDuration, translatedMuteReason;
+
+    switch (muteDuration) {
+        case Types.MuteDuration.SHORT:
+            translatedMuteDuration = this._api.MUTE.SHORT;
+            break;
+        case Types.MuteDuration.MEDIUM:
+            translatedMuteDuration = this._api.MUTE.MEDIUM;
+            break;
+        case Types.MuteDuration.LONG:
+            translatedMuteDuration = this._api.MUTE.LONG;
+            break;
+    }
+
+    switch (muteReason) {
+        case Types.MuteReason.VIOLATING_COMMUNITY_RULES:
+            translatedMuteReason = this._api.MUTE_REASON.VIOLATING_COMMUNITY_RULES;
+            break;
+        case Types.MuteReason.VERBAL_ABUSE_OR_HARASSMENT:
+            translatedMuteReason = this._api.MUTE_REASON.VERBAL_ABUSE;
+            break;
+        case Types.MuteReason.SPAMMING_OR_TROLLING:
+            translatedMuteReason = this._api.MUTE_REASON.SPAMMING_TROLLING;
+            break;
+        case Types.MuteReason.OFFENSIVE_LANGUAGE:
+            translatedMuteReason = this._api.MUTE_REASON.OFFENSIVE_LANGUAGE;
+            break;
+        case Types.MuteReason.NEGATIVE_ATTITUDE:
+            translatedMuteReason = this._api.MUTE_REASON.NEGATIVE_ATTITUDE;
+            break;
+    }
+
+    return this.client.moderateMuteUser(userID, translatedMuteReason, translatedMuteDuration, callback);
+};
+
+PlugApiTransport.prototype.sendChat = function(message) {
+    this.client.sendChat(message);
+};
+
+PlugApiTransport.prototype.unbanUser = function(userID, callback) {
+    return this.client.moderateUnbanUser(userID, callback);
+};
+
+PlugApiTransport.prototype.unmuteUser = function(userID, callback) {
+    return this.client.moderateUnmuteUser(userID, callback);
+};
+
+PlugApiTransport.prototype.wootSong = function(callback) {
+    return this.client.woot(callback);
+};
+
+module.exports = PlugApiTransport;
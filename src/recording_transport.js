@@ -0,0 +1,140 @@
+"use strict";
+
+/**
+ * A transport which wraps another, writing every raw event which the Bot receives
+ * through it to a file, so that the events can be fed back into a bot later with a
+ * ReplayTransport. Everything else is passed straight through to the wrapped transport.
+ *
+ * The file is in JSON lines format, with one record per line. Most records are events:
+ *
+ *     {"timestamp":"2015-10-21T23:37:32.000Z","type":"event","event":"advance","payload":{...}}
+ *
+ * Since the Bot also queries the state of the room when it joins, each time the room is
+ * joined a record of that state is written as well, once the room's history has been fetched:
+ *
+ *     {"timestamp":"...","type":"state","state":{"dj":...,"history":[...],"media":...,"self":...,
+ *                                                "timeElapsed":...,"users":[...],"waitList":[...]}}
+ */
+
+var fs = require("fs");
+var path = require("path");
+var util = require("util");
+
+var Log = require("./log");
+var Transport = require("./transport");
+
+var LOG = new Log("PlugBotBase-RecordingTransport");
+
+/**
+ * @param {object} transport - The Transport to wrap
+ * @param {string} filePath - The file to append records to; its directory is created if needed
+ */
+function RecordingTransport(transport, filePath) {
+    Transport.call(this);
+    Transport.validate(transport);
+
+    this.filePath = filePath;
+
+    // Passed through, for the Bot's deprecated reference to the PlugAPI client
+    this.client = transport.client || null;
+
+    this._transport = transport;
+    this._recordedEventNames = [];
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._stream = fs.createWriteStream(filePath, { flags: "a" });
+    this._stream.on("error", function(error) {
+        LOG.error("Failed to write to the event recording file {}. Error: {}", filePath, error.message);
+    });
+
+    LOG.info("Recording raw events to {}", filePath);
+}
+
+util.inherits(RecordingTransport, Transport);
+
+// Everything not overridden below simply goes to the wrapped transport
+Transport.METHODS.forEach(function(methodName) {
+    RecordingTransport.prototype[methodName] = function() {
+        return this._transport[methodName].apply(this._transport, arguments);
+    };
+});
+
+/**
+ * Subscribes to a raw event. The first time an event is subscribed to, a handler which
+ * records it is subscribed ahead of the one given, so that each event is recorded exactly
+ * once, and before any of the Bot's handlers have run.
+ */
+RecordingTransport.prototype.on = function(eventName, handler) {
+    if (this._recordedEventNames.indexOf(eventName) < 0) {
+        this._recordedEventNames.push(eventName);
+        this._transport.on(eventName, this._createRecorder(eventName));
+    }
+
+    this._transport.on(eventName, handler);
+};
+
+/**
+ * Stops recording, once everything which has been recorded so far is written.
+ *
+ * @param {function} callback - Optional. Called once the file has been closed
+ */
+RecordingTransport.prototype.stopRecording = function(callback) {
+    this._stream.end(callback);
+};
+
+RecordingTransport.prototype._createRecorder = function(eventName) {
+    var self = this;
+
+    return function(payload) {
+        self._write({
+            timestamp: new Date().toISOString(),
+            type: "event",
+            event: eventName,
+            payload: payload
+        });
+
+        if (eventName === "roomJoin") {
+            self._recordState();
+        }
+    };
+};
+
+RecordingTransport.prototype._recordState = function() {
+    var self = this;
+    var transport = this._transport;
+
+    transport.getHistory(function(history) {
+        self._write({
+            timestamp: new Date().toISOString(),
+            type: "state",
+            state: {
+                dj: transport.getDJ(),
+                history: history,
+                media: transport.getMedia(),
+                self: transport.getSelf(),
+                timeElapsed: transport.getTimeElapsed(),
+                users: transport.getUsers(),
+                waitList: transport.getWaitList()
+            }
+        });
+    });
+};
+
+RecordingTransport.prototype._write = function(record) {
+    if (!this._stream.writable) {
+        return;
+    }
+
+    var line;
+    try {
+        line = JSON.stringify(record);
+    }
+    catch (e) {
+        LOG.warn("Unable to record a {} record for event '{}', since it can't be converted to JSON. Error: {}", record.type, record.event, e.message);
+        return;
+    }
+
+    this._stream.write(line + "\n");
+};
+
+module.exports = RecordingTransport;
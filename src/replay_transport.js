@@ -0,0 +1,233 @@
+"use strict";
+
+/**
+ * A transport which feeds a file written by a RecordingTransport back into a bot,
+ * without any network connection. Events are emitted with the same gaps between them
+ * as when they were recorded, optionally sped up, so that a sequence of events seen in
+ * production can be reproduced exactly.
+ *
+ * Whenever the bot queries the state of the room (such as when the StateTracker starts),
+ * it's given the state which was recorded when the room was joined. Actions aren't sent
+ * anywhere; they're logged, and reported as having succeeded. The exception is chat, which
+ * the Bot only considers delivered once it's echoed back, so sendChat's Promise rejects.
+ */
+
+var fs = require("fs");
+var util = require("util");
+
+var Log = require("./log");
+var Transport = require("./transport");
+
+var LOG = new Log("PlugBotBase-ReplayTransport");
+
+/**
+ * @param {string} filePath - The recording to replay
+ * @param {object} options - Optional. Supports the following keys:
+ *                           speed - how many times faster than real time to replay events; defaults to 1,
+ *                                   while Infinity replays every event as soon as the last has been handled
+ *                           onComplete - a function to call once every event has been replayed
+ */
+function ReplayTransport(filePath, options) {
+    Transport.call(this);
+    options = options || {};
+
+    this.filePath = filePath;
+
+    this._speed = typeof options.speed === "number" ? options.speed : 1;
+    this._onComplete = options.onComplete || null;
+    this._records = _readRecords(filePath);
+    this._handlersByEventName = {};
+    this._isPlaying = false;
+    this._nextIndex = 0;
+    this._state = {};
+    this._timeout = null;
+
+    if (this._speed <= 0) {
+        throw new Error("Replay speed must be greater than 0, but is " + this._speed);
+    }
+
+    // Start out with the first state recorded, in case anything queries it before the room is joined
+    this._applyNextState(0);
+}
+
+util.inherits(ReplayTransport, Transport);
+
+/**
+ * Starts replaying events. The room name is ignored, since the room is whichever one
+ * was recorded. If the bot reconnects, replaying picks up where it left off.
+ */
+ReplayTransport.prototype.connect = function(roomName) {
+    if (this._isPlaying || this._nextIndex >= this._records.length) {
+        return;
+    }
+
+    this._isPlaying = true;
+    LOG.info("Replaying {} from record {} of {} at {}x speed", this.filePath, this._nextIndex + 1, this._records.length, this._speed);
+    this._scheduleNextRecord(null);
+};
+
+/**
+ * Pauses replaying events, until connect is called again.
+ */
+ReplayTransport.prototype.close = function() {
+    this._isPlaying = false;
+    clearTimeout(this._timeout);
+    this._timeout = null;
+};
+
+ReplayTransport.prototype.on = function(eventName, handler) {
+    if (!this._handlersByEventName[eventName]) {
+        this._handlersByEventName[eventName] = [];
+    }
+
+    this._handlersByEventName[eventName].push(handler);
+};
+
+ReplayTransport.prototype.getRawEventNames = function() {
+    var names = [];
+    for (var i = 0; i < this._records.length; i++) {
+        if (this._records[i].type === "event" && names.indexOf(this._records[i].event) < 0) {
+            names.push(this._records[i].event);
+        }
+    }
+
+    return names;
+};
+
+ReplayTransport.prototype.getDJ = function() {
+    return this._state.dj || null;
+};
+
+ReplayTransport.prototype.getHistory = function(callback) {
+    var history = this._state.history || [];
+    setImmediate(function() {
+        callback(history);
+    });
+};
+
+ReplayTransport.prototype.getMedia = function() {
+    return this._state.media || null;
+};
+
+ReplayTransport.prototype.getSelf = function() {
+    return this._state.self || null;
+};
+
+ReplayTransport.prototype.getTimeElapsed = function() {
+    return this._state.timeElapsed || 0;
+};
+
+ReplayTransport.prototype.getUsers = function() {
+    return this._state.users || [];
+};
+
+ReplayTransport.prototype.getWaitList = function() {
+    return this._state.waitList || [];
+};
+
+// Actions are never sent anywhere while replaying
+["banUser", "deleteChat", "forceSkip", "grabSong", "joinWaitList", "leaveWaitList", "mehSong",
+ "moveDjInWaitList", "muteUser", "unbanUser", "unmuteUser", "wootSong"].forEach(function(methodName) {
+    ReplayTransport.prototype[methodName] = function() {
+        LOG.info("Ignoring {} while replaying, with arguments: {}", methodName, Array.prototype.slice.call(arguments).filter(function(arg) {
+            return typeof arg !== "function";
+        }));
+
+        var callback = arguments[arguments.length - 1];
+        if (typeof callback === "function") {
+            setImmediate(function() {
+                callback(null);
+            });
+        }
+
+        return true;
+    };
+});
+
+ReplayTransport.prototype.sendChat = function(message) {
+    LOG.info("Ignoring chat while replaying: {}", message);
+};
+
+/**
+ * Waits for the recorded gap between the previous record and the next one, then emits it.
+ */
+ReplayTransport.prototype._scheduleNextRecord = function(previousRecord) {
+    var record = this._records[this._nextIndex];
+    var delay = 0;
+
+    if (previousRecord && this._speed !== Infinity) {
+        delay = Math.max(0, (Date.parse(record.timestamp) - Date.parse(previousRecord.timestamp)) / this._speed);
+    }
+
+    var self = this;
+    this._timeout = setTimeout(function() {
+        self._timeout = null;
+        self._replayRecord();
+    }, delay);
+};
+
+ReplayTransport.prototype._replayRecord = function() {
+    var index = this._nextIndex;
+    var record = this._records[index];
+    this._nextIndex++;
+
+    if (record.type === "event") {
+        // The state recorded when the room was joined comes after the join itself, since it
+        // took a moment to fetch, but it's the state the bot needs when it handles the join
+        if (record.event === "roomJoin") {
+            this._applyNextState(index);
+        }
+
+        var handlers = (this._handlersByEventName[record.event] || []).slice();
+        for (var i = 0; i < handlers.length; i++) {
+            handlers[i](record.payload);
+        }
+    }
+
+    if (this._nextIndex < this._records.length) {
+        // Handling the event may have closed the transport (e.g. on "disconnected"), or even
+        // closed it and connected again, which schedules the next record itself
+        if (this._isPlaying && !this._timeout) {
+            this._scheduleNextRecord(record);
+        }
+
+        return;
+    }
+
+    this._isPlaying = false;
+    LOG.info("Finished replaying {}", this.filePath);
+    if (this._onComplete) {
+        this._onComplete();
+    }
+};
+
+ReplayTransport.prototype._applyNextState = function(fromIndex) {
+    for (var i = fromIndex; i < this._records.length; i++) {
+        if (this._records[i].type === "state") {
+            this._state = this._records[i].state;
+            return;
+        }
+    }
+};
+
+function _readRecords(filePath) {
+    var lines = fs.readFileSync(filePath, "utf8").split("\n");
+    var records = [];
+
+    for (var i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+
+        try {
+            records.push(JSON.parse(lines[i]));
+        }
+        catch (e) {
+            throw new Error("Line " + (i + 1) + " of the event recording " + filePath + " isn't valid JSON: " + e.message);
+        }
+    }
+
+    return records;
+}
+
+module.exports = ReplayTransport;
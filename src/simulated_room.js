@@ -0,0 +1,802 @@
+"use strict";
+
+/**
+ * An in-process stand-in for PlugAPI which never touches the network. It keeps
+ * its own model of a room (users, wait list, current play, history, bans and mutes)
+ * and emits events shaped exactly like the ones PlugAPI emits, so that everything
+ * downstream of the Bot (translators, StateTracker, commands and event listeners)
+ * runs unmodified.
+ *
+ * Besides the PlugAPI methods used by PlugBotBase, the room exposes a scripting
+ * API (addUser, chat, advance, vote, etc) for driving it from tests or during local
+ * development, as well as runScript for playing back a timed sequence of those calls.
+ */
+
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+var Log = require("./log");
+var Utils = require("./utils");
+
+var LOG = new Log("PlugBotBase-SimulatedRoom");
+
+// Mirrors the constants exported by PlugAPI, which is what Bot translates into
+var BAN = { HOUR: "h", DAY: "d", PERMA: "f" };
+var BAN_REASON = { SPAMMING_TROLLING: 1, VERBAL_ABUSE: 2, OFFENSIVE_MEDIA: 3, INAPPROPRIATE_GENRE: 4, NEGATIVE_ATTITUDE: 5 };
+var MUTE = { SHORT: "s", MEDIUM: "m", LONG: "l" };
+var MUTE_REASON = { VIOLATING_COMMUNITY_RULES: 1, VERBAL_ABUSE: 2, SPAMMING_TROLLING: 3, OFFENSIVE_LANGUAGE: 4, NEGATIVE_ATTITUDE: 5 };
+var ROLE = { NONE: 0, RESIDENTDJ: 1, BOUNCER: 2, MANAGER: 3, COHOST: 4, HOST: 5 };
+
+var MAX_HISTORY_LENGTH = 50;
+
+/**
+ * Creates a new simulated room. Nothing happens until connect is called, at which
+ * point the room "joins" asynchronously and emits the same initial ADVANCE and
+ * ROOM_JOIN events that PlugAPI does.
+ *
+ * @param {object} options - Optional. Describes the initial state of the room:
+ *                           roomName - the slug of the room; connecting to any other slug fails as plug.dj would
+ *                           self - the bot's own user, e.g. { id: 1, username: "MyBot", role: 3 }
+ *                           users - other users present, in the same partial form as self
+ *                           waitList - user IDs in the wait list, the first of which becomes the current DJ
+ *                           media - the media playing when the bot joins, in PlugAPI's format
+ *                           history - previous plays, in PlugAPI's history format
+ *                           commandPrefix - the prefix which turns a chat message into a command (default "!")
+ */
+function SimulatedRoom(options) {
+    EventEmitter.call(this);
+    options = options || {};
+
+    this.roomName = options.roomName || null;
+    this.commandPrefix = options.commandPrefix || "!";
+    this.connected = false;
+
+    this._nextChatID = 1;
+    this._nextHistoryID = 1;
+    this._nextMediaID = 1;
+
+    this.self = _createUser(options.self || { id: 1, username: "PlugBotBase", role: ROLE.HOST });
+    this.users = [this.self];
+    this.bannedUsers = [];
+    this.mutedUserIDs = [];
+    this.chatHistory = [];
+    this.history = options.history ? options.history.slice() : [];
+    this.isWaitListLocked = false;
+
+    var userOptions = options.users || [];
+    for (var i = 0; i < userOptions.length; i++) {
+        this.users.push(_createUser(userOptions[i]));
+    }
+
+    var waitList = options.waitList ? options.waitList.slice() : [];
+    this.currentDJ = null;
+    this.media = null;
+    this.startTime = null;
+    this.historyID = null;
+
+    if (waitList.length > 0) {
+        this.currentDJ = this.getUser(waitList.shift());
+        this.media = options.media || _createMedia(this._nextMediaID++);
+        this.startTime = Date.now();
+        this.historyID = "sim-history-" + this._nextHistoryID++;
+    }
+
+    this.waitList = [];
+    for (i = 0; i < waitList.length; i++) {
+        this.waitList.push(this.getUser(waitList[i]));
+    }
+}
+
+util.inherits(SimulatedRoom, EventEmitter);
+
+SimulatedRoom.BAN = BAN;
+SimulatedRoom.BAN_REASON = BAN_REASON;
+SimulatedRoom.MUTE = MUTE;
+SimulatedRoom.MUTE_REASON = MUTE_REASON;
+SimulatedRoom.ROOM_ROLE = ROLE;
+
+// The raw events this room can emit, keyed the same way as PlugAPI.events
+SimulatedRoom.events = {
+    ADVANCE: "advance",
+    CHAT: "chat",
+    CHAT_COMMAND: "command",
+    CHAT_DELETE: "chatDelete",
+    DISCONNECTED: "disconnected",
+    DJ_LIST_UPDATE: "djListUpdate",
+    GRAB: "grab",
+    MODERATE_ADD_DJ: "modAddDJ",
+    MODERATE_BAN: "modBan",
+    MODERATE_MOVE_DJ: "modMoveDJ",
+    MODERATE_MUTE: "modMute",
+    MODERATE_REMOVE_DJ: "modRemoveDJ",
+    MODERATE_SKIP: "modSkip",
+    ROOM_JOIN: "roomJoin",
+    USER_JOIN: "userJoin",
+    USER_LEAVE: "userLeave",
+    VOTE: "vote"
+};
+
+// =============================
+// PlugAPI: connection
+// =============================
+
+/**
+ * Simulates joining the room. If the room was created with a roomName and the
+ * slug doesn't match it, the join fails the same way PlugAPI's does: an error is
+ * logged and no ROOM_JOIN event is ever emitted.
+ *
+ * @param {string} roomSlug - The slug of the room to join
+ */
+SimulatedRoom.prototype.connect = function(roomSlug) {
+    var self = this;
+
+    setImmediate(function() {
+        if (self.roomName && self.roomName !== roomSlug) {
+            LOG.error("Error while joining: notFound (simulated room is '{}', requested '{}')", self.roomName, roomSlug);
+            return;
+        }
+
+        self.roomName = roomSlug;
+        self.connected = true;
+
+        self.emit("advance", self._createAdvancePayload(null));
+        self.emit("roomJoin", roomSlug);
+    });
+};
+
+/**
+ * Closes the connection to the room. Until connect is called again, the room
+ * keeps changing as scripted but no events reach the bot.
+ */
+SimulatedRoom.prototype.close = function() {
+    this.connected = false;
+};
+
+/**
+ * Only delivers events while connected, so that anything which happens while the
+ * bot is disconnected is missed, just like it would be on a real socket.
+ */
+SimulatedRoom.prototype.emit = function(eventName) {
+    if (!this.connected && eventName !== "disconnected") {
+        return false;
+    }
+
+    return EventEmitter.prototype.emit.apply(this, arguments);
+};
+
+// =============================
+// PlugAPI: room state queries
+// =============================
+
+SimulatedRoom.prototype.getDJ = function() {
+    return this.currentDJ;
+};
+
+SimulatedRoom.prototype.getDJs = function() {
+    return (this.currentDJ ? [this.currentDJ] : []).concat(this.waitList);
+};
+
+SimulatedRoom.prototype.getHistory = function(callback) {
+    var history = this.history.slice();
+    setImmediate(function() {
+        callback(history);
+    });
+};
+
+SimulatedRoom.prototype.getMedia = function() {
+    return this.media;
+};
+
+SimulatedRoom.prototype.getSelf = function() {
+    return this.self;
+};
+
+SimulatedRoom.prototype.getTimeElapsed = function() {
+    if (!this.media) {
+        return -1;
+    }
+
+    return Math.floor((Date.now() - this.startTime) / 1000);
+};
+
+SimulatedRoom.prototype.getTimeRemaining = function() {
+    if (!this.media) {
+        return 0;
+    }
+
+    return Math.max(this.media.duration - this.getTimeElapsed(), 0);
+};
+
+SimulatedRoom.prototype.getUser = function(userID) {
+    if (!userID && userID !== 0) {
+        return this.self;
+    }
+
+    return _findUser(this.users, userID);
+};
+
+SimulatedRoom.prototype.getUsers = function() {
+    return this.users.slice();
+};
+
+SimulatedRoom.prototype.getWaitList = function() {
+    return this.waitList.slice();
+};
+
+SimulatedRoom.prototype.getWaitListPosition = function(userID) {
+    if (this.currentDJ && this.currentDJ.id === userID) {
+        return 0;
+    }
+
+    var index = _findUserIndex(this.waitList, userID);
+    return index >= 0 ? index + 1 : -1;
+};
+
+// =============================
+// PlugAPI: actions taken by the bot
+// =============================
+
+SimulatedRoom.prototype.grab = function(callback) {
+    if (!this.connected || !this.media) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.grabAs(this.self.id);
+    return true;
+};
+
+SimulatedRoom.prototype.joinBooth = function(callback) {
+    if (!this.connected || this.getWaitListPosition(this.self.id) >= 0 ||
+        (this.isWaitListLocked && this.self.role < ROLE.RESIDENTDJ) || this.waitList.length >= 50) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.joinWaitList(this.self.id);
+    return true;
+};
+
+SimulatedRoom.prototype.leaveBooth = function(callback) {
+    if (!this.connected || this.getWaitListPosition(this.self.id) < 0) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.leaveWaitList(this.self.id);
+    return true;
+};
+
+SimulatedRoom.prototype.meh = function(callback) {
+    if (!this.connected || !this.media) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.vote(this.self.id, -1);
+    return true;
+};
+
+SimulatedRoom.prototype.moderateAddDJ = function(userID, callback) {
+    var user = this.getUser(userID);
+    if (!this.connected || this.self.role < ROLE.BOUNCER || !user || this.getWaitListPosition(userID) >= 0) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.waitList.push(user);
+    this._emitModeration("modAddDJ", { t: user.username });
+    this._emitDjListUpdate();
+    return true;
+};
+
+SimulatedRoom.prototype.moderateBanUser = function(userID, reason, duration, callback) {
+    var user = this.getUser(userID);
+
+    if (!this.connected || !Utils.findValueInObject(duration, BAN) || !Utils.findValueInObject(reason, BAN_REASON)) {
+        return false;
+    }
+
+    if (this.self.role < ROLE.BOUNCER || (user && user.role >= this.self.role)) {
+        return false;
+    }
+
+    // Bouncers can't permaban; plug.dj quietly downgrades the ban instead
+    if (duration === BAN.PERMA && this.self.role < ROLE.MANAGER) {
+        duration = BAN.DAY;
+    }
+
+    this._respond(callback);
+    this.bannedUsers.push({ id: userID, username: user ? user.username : null, duration: duration, reason: reason });
+    this._emitModeration("modBan", { d: duration, t: user ? user.username : String(userID) });
+
+    if (user) {
+        this.removeUser(userID);
+    }
+
+    return true;
+};
+
+SimulatedRoom.prototype.moderateDeleteChat = function(chatID, callback) {
+    if (!this.connected || typeof chatID !== "string" || this.self.role < ROLE.BOUNCER) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.chatHistory = this.chatHistory.filter(function(chat) {
+        return chat.cid !== chatID;
+    });
+    this.emit("chatDelete", { c: chatID, mi: this.self.id });
+    return true;
+};
+
+SimulatedRoom.prototype.moderateForceSkip = function(callback) {
+    if (!this.connected || this.self.role < ROLE.BOUNCER || !this.currentDJ) {
+        return false;
+    }
+
+    this._respond(callback);
+    this._emitModeration("modSkip", {});
+    this.advance();
+    return true;
+};
+
+SimulatedRoom.prototype.moderateMoveDJ = function(userID, position, callback) {
+    var oldIndex = _findUserIndex(this.waitList, userID);
+    if (!this.connected || this.self.role < ROLE.MANAGER || oldIndex < 0 || isNaN(position)) {
+        return false;
+    }
+
+    // Positions are 1-based, like PlugAPI's
+    var newIndex = Math.min(Math.max(position, 1), this.waitList.length) - 1;
+    var user = this.waitList.splice(oldIndex, 1)[0];
+    this.waitList.splice(newIndex, 0, user);
+
+    this._respond(callback);
+    this._emitModeration("modMoveDJ", { u: user.username, o: oldIndex + 1, n: newIndex + 1 });
+    this._emitDjListUpdate();
+    return true;
+};
+
+SimulatedRoom.prototype.moderateMuteUser = function(userID, reason, duration, callback) {
+    var user = this.getUser(userID);
+
+    if (!this.connected || !Utils.findValueInObject(duration, MUTE) || !Utils.findValueInObject(reason, MUTE_REASON)) {
+        return false;
+    }
+
+    if (this.self.role < ROLE.BOUNCER || (user && user.role >= this.self.role)) {
+        return false;
+    }
+
+    this._respond(callback);
+    if (this.mutedUserIDs.indexOf(userID) < 0) {
+        this.mutedUserIDs.push(userID);
+    }
+    this._emitModeration("modMute", { i: userID, t: user ? user.username : String(userID), r: reason, d: duration });
+    return true;
+};
+
+SimulatedRoom.prototype.moderateRemoveDJ = function(userID, callback) {
+    var user = this.getUser(userID);
+    if (!this.connected || this.self.role < ROLE.BOUNCER || !user || this.getWaitListPosition(userID) < 0) {
+        return false;
+    }
+
+    this._respond(callback);
+    this._emitModeration("modRemoveDJ", { t: user.username });
+    this.leaveWaitList(userID);
+    return true;
+};
+
+SimulatedRoom.prototype.moderateUnbanUser = function(userID, callback) {
+    if (!this.connected || this.self.role < ROLE.MANAGER) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.bannedUsers = this.bannedUsers.filter(function(ban) {
+        return ban.id !== userID;
+    });
+    return true;
+};
+
+SimulatedRoom.prototype.moderateUnmuteUser = function(userID, callback) {
+    if (!this.connected || this.self.role < ROLE.MANAGER) {
+        return false;
+    }
+
+    this._respond(callback);
+    var index = this.mutedUserIDs.indexOf(userID);
+    if (index >= 0) {
+        this.mutedUserIDs.splice(index, 1);
+    }
+    return true;
+};
+
+SimulatedRoom.prototype.sendChat = function(message) {
+    if (!this.connected) {
+        return;
+    }
+
+    // plug.dj echoes the bot's own messages back to it like anyone else's
+    var self = this;
+    setImmediate(function() {
+        self.chat(self.self.id, message);
+    });
+};
+
+SimulatedRoom.prototype.woot = function(callback) {
+    if (!this.connected || !this.media) {
+        return false;
+    }
+
+    this._respond(callback);
+    this.vote(this.self.id, 1);
+    return true;
+};
+
+// =============================
+// Scripting API
+// =============================
+
+/**
+ * Adds a user to the room and emits USER_JOIN. Users who are banned are refused.
+ *
+ * @param {object} user - At minimum { id: ..., username: ... }; role and level default to 0
+ * @returns {boolean} True if the user joined
+ */
+SimulatedRoom.prototype.addUser = function(user) {
+    if (_findUser(this.users, user.id) || _findUser(this.bannedUsers, user.id)) {
+        return false;
+    }
+
+    var newUser = _createUser(user);
+    this.users.push(newUser);
+    this.emit("userJoin", newUser);
+    return true;
+};
+
+/**
+ * Simulates the connection dropping unexpectedly. The room emits "disconnected"
+ * and stops delivering events until connect is called again.
+ */
+SimulatedRoom.prototype.dropConnection = function() {
+    if (!this.connected) {
+        return;
+    }
+
+    this.connected = false;
+    this.emit("disconnected");
+};
+
+/**
+ * Moves the room on to the next play: the current play is moved into history,
+ * the current DJ goes to the back of the wait list and the next DJ in line
+ * starts playing. Emits ADVANCE followed by DJ_LIST_UPDATE.
+ *
+ * @param {object} media - Optional. The media the incoming DJ plays, in PlugAPI's format;
+ *                         a placeholder is generated if not provided
+ */
+SimulatedRoom.prototype.advance = function(media) {
+    var lastPlay = null;
+
+    if (this.currentDJ && this.media) {
+        lastPlay = {
+            dj: this.currentDJ,
+            media: this.media,
+            score: this._createScore()
+        };
+
+        this.history.unshift({
+            id: this.historyID,
+            media: this.media,
+            room: { name: this.roomName, slug: this.roomName },
+            score: lastPlay.score,
+            timestamp: _formatPlugDate(this.startTime),
+            user: { id: this.currentDJ.id, username: this.currentDJ.username }
+        });
+
+        if (this.history.length > MAX_HISTORY_LENGTH) {
+            this.history.length = MAX_HISTORY_LENGTH;
+        }
+
+        this.waitList.push(this.currentDJ);
+    }
+
+    for (var i = 0; i < this.users.length; i++) {
+        this.users[i].vote = 0;
+        this.users[i].grab = false;
+    }
+
+    this.currentDJ = this.waitList.shift() || null;
+    this.media = this.currentDJ ? (media || _createMedia(this._nextMediaID++)) : null;
+    this.startTime = this.currentDJ ? Date.now() : null;
+    this.historyID = this.currentDJ ? "sim-history-" + this._nextHistoryID++ : null;
+
+    this.emit("advance", this._createAdvancePayload(lastPlay));
+    this._emitDjListUpdate();
+};
+
+/**
+ * Sends a chat message as the given user. Emits CHAT, and additionally
+ * CHAT_COMMAND if the message starts with the command prefix and the user isn't muted.
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ * @param {string} message - The message to send
+ * @param {string} type - Optional. "message" (the default), "emote" or "mention"
+ * @returns {string} The chat ID assigned to the message
+ */
+SimulatedRoom.prototype.chat = function(userID, message, type) {
+    var user = this.getUser(userID);
+    Utils.checkHasValue(user, "SimulatedRoom.chat called for a user who isn't in the room: " + userID);
+
+    var chatID = user.id + "-" + this._nextChatID++;
+    var isMuted = this.mutedUserIDs.indexOf(user.id) >= 0;
+    var payload = {
+        cid: chatID,
+        from: user,
+        message: message,
+        muted: isMuted,
+        raw: {
+            cid: chatID,
+            message: message,
+            type: type || "message",
+            uid: user.id,
+            un: user.username
+        },
+        type: type || "message"
+    };
+
+    this.chatHistory.push(payload);
+
+    if (message.indexOf(this.commandPrefix) === 0 && !isMuted) {
+        var commandPayload = {};
+        for (var key in payload) {
+            commandPayload[key] = payload[key];
+        }
+
+        commandPayload.command = message.substr(this.commandPrefix.length).split(" ")[0];
+        this.emit("command", commandPayload);
+    }
+
+    this.emit("chat", payload);
+    return chatID;
+};
+
+/**
+ * Makes the given user grab the current song. Emits GRAB.
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ */
+SimulatedRoom.prototype.grabAs = function(userID) {
+    var user = this.getUser(userID);
+    if (!user || !this.media || user.grab) {
+        return;
+    }
+
+    user.grab = true;
+    this.emit("grab", user.id);
+};
+
+/**
+ * Puts the given user at the back of the wait list. If nobody is playing, they
+ * start playing immediately. Emits DJ_LIST_UPDATE (and ADVANCE if applicable).
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ */
+SimulatedRoom.prototype.joinWaitList = function(userID) {
+    var user = this.getUser(userID);
+    if (!user || this.getWaitListPosition(userID) >= 0) {
+        return;
+    }
+
+    this.waitList.push(user);
+
+    if (!this.currentDJ) {
+        this.advance();
+    }
+    else {
+        this._emitDjListUpdate();
+    }
+};
+
+/**
+ * Removes the given user from the wait list, or from the booth if they're
+ * the current DJ. Emits DJ_LIST_UPDATE (and ADVANCE if the DJ left).
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ */
+SimulatedRoom.prototype.leaveWaitList = function(userID) {
+    if (this.currentDJ && this.currentDJ.id === userID) {
+        // Drop the DJ without cycling them back into the wait list
+        this.currentDJ = null;
+        this.media = null;
+        this.advance();
+        return;
+    }
+
+    var index = _findUserIndex(this.waitList, userID);
+    if (index >= 0) {
+        this.waitList.splice(index, 1);
+        this._emitDjListUpdate();
+    }
+};
+
+/**
+ * Removes a user from the room, along with their place in the wait list. Emits USER_LEAVE.
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ */
+SimulatedRoom.prototype.removeUser = function(userID) {
+    var index = _findUserIndex(this.users, userID);
+    if (index < 0) {
+        return;
+    }
+
+    if (this.getWaitListPosition(userID) >= 0) {
+        this.leaveWaitList(userID);
+    }
+
+    var user = this.users.splice(index, 1)[0];
+    this.emit("userLeave", user);
+};
+
+/**
+ * Makes the given user woot (1) or meh (-1) the current song. Emits VOTE.
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ * @param {integer} direction - 1 for a woot, -1 for a meh
+ */
+SimulatedRoom.prototype.vote = function(userID, direction) {
+    var user = this.getUser(userID);
+    if (!user || !this.media || user.vote === direction) {
+        return;
+    }
+
+    user.vote = direction;
+    this.emit("vote", { i: user.id, v: direction });
+};
+
+/**
+ * Runs a script against the room. A script is a list of steps, each of which names
+ * one of the room's methods along with its arguments and an optional delay (in
+ * milliseconds) to wait before running it. Steps run strictly in order.
+ *
+ * @example
+ * room.runScript([
+ *     { action: "addUser", args: [{ id: 7, username: "listener" }] },
+ *     { action: "chat", args: [7, "!hello"], delay: 100 },
+ *     { action: "advance", delay: 1000 }
+ * ], function() { console.log("done"); });
+ *
+ * @param {array} steps - The steps to run
+ * @param {function} onComplete - Optional. Called once every step has run
+ */
+SimulatedRoom.prototype.runScript = function(steps, onComplete) {
+    var self = this;
+    var index = 0;
+
+    function runNextStep() {
+        if (index >= steps.length) {
+            if (onComplete) {
+                onComplete();
+            }
+            return;
+        }
+
+        var step = steps[index++];
+        setTimeout(function() {
+            Utils.checkHasType(self[step.action], "function", "SimulatedRoom script step has an unknown action: " + step.action);
+            self[step.action].apply(self, step.args || []);
+            runNextStep();
+        }, step.delay || 0);
+    }
+
+    runNextStep();
+};
+
+// =============================
+// Private helpers
+// =============================
+
+SimulatedRoom.prototype._createAdvancePayload = function(lastPlay) {
+    return {
+        currentDJ: this.currentDJ,
+        djs: this.getDJs(),
+        historyID: this.historyID,
+        lastPlay: lastPlay || { dj: null, media: null, score: null },
+        media: this.media,
+        startTime: this.startTime ? _formatPlugDate(this.startTime) : null
+    };
+};
+
+SimulatedRoom.prototype._createScore = function() {
+    var score = { grabs: 0, listeners: this.users.length, negative: 0, positive: 0, skipped: 0 };
+
+    for (var i = 0; i < this.users.length; i++) {
+        if (this.users[i].grab) {
+            score.grabs++;
+        }
+        if (this.users[i].vote === 1) {
+            score.positive++;
+        }
+        else if (this.users[i].vote === -1) {
+            score.negative++;
+        }
+    }
+
+    return score;
+};
+
+SimulatedRoom.prototype._emitDjListUpdate = function() {
+    this.emit("djListUpdate", this.waitList.map(function(user) {
+        return user.id;
+    }));
+};
+
+SimulatedRoom.prototype._emitModeration = function(eventName, payload) {
+    payload.m = this.self.username;
+    payload.mi = this.self.id;
+    this.emit(eventName, payload);
+};
+
+/**
+ * Invokes a PlugAPI-style REST callback, (err, data), asynchronously and with no error.
+ */
+SimulatedRoom.prototype._respond = function(callback) {
+    if (typeof callback === "function") {
+        setImmediate(function() {
+            callback(null, []);
+        });
+    }
+};
+
+function _createMedia(mediaID) {
+    return {
+        author: "Simulated Artist",
+        cid: "sim" + mediaID,
+        duration: 180,
+        format: 1,
+        id: mediaID,
+        image: "",
+        title: "Simulated Song " + mediaID
+    };
+}
+
+function _createUser(user) {
+    return {
+        avatarID: user.avatarID || "base01",
+        grab: false,
+        id: user.id,
+        joined: user.joined || _formatPlugDate(Date.now()),
+        level: user.level || 1,
+        role: user.role || ROLE.NONE,
+        username: user.username,
+        vote: 0
+    };
+}
+
+function _findUser(users, userID) {
+    var index = _findUserIndex(users, userID);
+    return index >= 0 ? users[index] : null;
+}
+
+function _findUserIndex(users, userID) {
+    for (var i = 0; i < users.length; i++) {
+        if (users[i].id === userID) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Formats a UNIX timestamp the way plug.dj formats dates: yyyy-mm-dd HH:MM:SS.SSSSSS (in UTC).
+ */
+function _formatPlugDate(timestamp) {
+    return new Date(timestamp).toISOString().replace("T", " ").replace("Z", "") + "000";
+}
+
+module.exports = SimulatedRoom;
@@ -5,14 +5,20 @@ var Types = require("./types");
 
 var LOG = new Log("PlugBotBaseStateTracker");
 
+var PLAY_START_DATE_TOLERANCE_IN_MS = 10 * 1000;
+
+// The storage namespace which room history snapshots are kept in
+var HISTORY_STORAGE_NAMESPACE = "PlugBotBase";
+
 /**
  * Initializes the state tracker by doing a couple of things:
  *
- * 1) Connects all of the event listeners we need. This function should be called
- * before registering any other event listeners at all; that will guarantee
- * that these listeners are called first, and can update state that the other
- * event listeners may rely on.
- * 2) Determines the initial state of the room via some API calls.
+ * 1) Connects all of the event listeners we need. These are subscribed with a priority
+ * above any which modules can use, so they're always called first, and can update
+ * state that the other event listeners may rely on.
+ * 2) Determines the initial state of the room via some API calls. If
+ * PlugBotBase.isRoomHistoryPersisted is set, the chat and play history saved
+ * by the last run are restored first, and merged with the room's history.
  *
  * Because asynchronous API calls are in use, it's possible to pass a callback to
  * this function.
@@ -31,15 +37,16 @@ function init(globalObject, onComplete) {
         usersInWaitList: []
     };
 
-    bot.on(Types.Event.ADVANCE, onAdvance);
-    bot.on(Types.Event.CHAT, onChat);
-    bot.on(Types.Event.CHAT_DELETE, onChatDelete);
-    bot.on(Types.Event.DJ_LIST_UPDATE, onDjListUpdate);
-    bot.on(Types.Event.GRAB, onGrab);
-    bot.on(Types.Event.MODERATE_REMOVE_DJ, onModerateRemoveDj);
-    bot.on(Types.Event.USER_LEAVE, onUserLeave);
-    bot.on(Types.Event.USER_JOIN, onUserJoin);
-    bot.on(Types.Event.VOTE, onVote);
+    var handlerOptions = { priority: Infinity, source: "the StateTracker" };
+    bot._addHandler(Types.Event.ADVANCE, onAdvance, null, handlerOptions);
+    bot._addHandler(Types.Event.CHAT, onChat, null, handlerOptions);
+    bot._addHandler(Types.Event.CHAT_DELETE, onChatDelete, null, handlerOptions);
+    bot._addHandler(Types.Event.DJ_LIST_UPDATE, onDjListUpdate, null, handlerOptions);
+    bot._addHandler(Types.Event.GRAB, onGrab, null, handlerOptions);
+    bot._addHandler(Types.Event.MODERATE_REMOVE_DJ, onModerateRemoveDj, null, handlerOptions);
+    bot._addHandler(Types.Event.USER_LEAVE, onUserLeave, null, handlerOptions);
+    bot._addHandler(Types.Event.USER_JOIN, onUserJoin, null, handlerOptions);
+    bot._addHandler(Types.Event.VOTE, onVote, null, handlerOptions);
 
     globalObject.roomState.findUserInRoomById = function(userID) {
         return _findUser(globalObject.roomState.usersInRoom, userID);
@@ -61,18 +68,63 @@ function init(globalObject, onComplete) {
         return plays;
     }
 
+    bot.registerStateLoader(resync);
+
+    _restoreHistory(globalObject);
     populateUsers(globalObject, onComplete);
 }
 
+/**
+ * Rebuilds the room state after the bot reconnects. Anything could have happened
+ * while the bot was disconnected, so the users in the room and the wait list are
+ * reloaded from scratch, and any plays which were missed are merged into the play
+ * history. Plays the bot already knew about keep the voting data it recorded.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {function} onComplete - A function that will be called once the room state is rebuilt
+ */
+function resync(globalObject, onComplete) {
+    LOG.info("Resyncing room state");
+
+    globalObject.roomState.usersInRoom = [];
+    globalObject.roomState.usersInWaitList = [];
+
+    populateUsers(globalObject, onComplete);
+}
+
+/**
+ * Saves a snapshot of the chat and play history to storage, so that it can be restored
+ * when the bot next starts. Does nothing unless PlugBotBase.isRoomHistoryPersisted is set.
+ *
+ * Snapshots are taken every PlugBotBase.roomHistorySnapshotIntervalInSeconds, when the bot is
+ * stopped, and when the process receives SIGINT or SIGTERM (see start() in main.js).
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ */
+function saveHistory(globalObject) {
+    if (!globalObject.config.PlugBotBase.isRoomHistoryPersisted || !globalObject.roomState) {
+        return;
+    }
+
+    var storage = globalObject.storage.namespace(HISTORY_STORAGE_NAMESPACE);
+    storage.set("chatHistory", globalObject.roomState.chatHistory);
+    storage.set("playHistory", globalObject.roomState.playHistory);
+
+    LOG.info("Saved a snapshot of {} chat messages and {} plays", globalObject.roomState.chatHistory.length, globalObject.roomState.playHistory.length);
+}
+
 function populateUsers(globalObject, callback) {
-    // Drill into the undocumented 'bot within a bot' which is PlugAPI for some info.
-    // getHistory() is the only async API we use, so we start off with that in order
-    // to make sure all of our data comes from approximately the same point in time.
-    globalObject.bot.bot.getHistory(function(playHistory) {
-        var currentSong = Translator.translateMediaObject(globalObject.bot.bot.getMedia());
-        var currentDj = Translator.translateUserObject(globalObject.bot.bot.getDJ());
-        var users = globalObject.bot.bot.getUsers();
-        var waitList = globalObject.bot.bot.getWaitList();
+    var transport = globalObject.bot.transport;
+    var maxPlayHistoryLength = globalObject.config.PlugBotBase.numberOfPlayedSongsToStore;
+
+    // Query the transport directly for some info. getHistory() is the only async API
+    // we use, so we start off with that in order to make sure all of our data comes
+    // from approximately the same point in time.
+    transport.getHistory(function(playHistory) {
+        var currentSong = Translator.translateMediaObject(transport.getMedia());
+        var currentDj = Translator.translateUserObject(transport.getDJ());
+        var users = transport.getUsers();
+        var waitList = transport.getWaitList();
 
         for (var i = 0; i < users.length; i++) {
             var user = Translator.translateUserObject(users[i]);
@@ -81,7 +133,9 @@ function populateUsers(globalObject, callback) {
 
         // Figure out who's in the wait list. The current DJ should be included but
         // isn't, so adjust for that too
-        globalObject.roomState.usersInWaitList.push(currentDj);
+        if (currentDj) {
+            globalObject.roomState.usersInWaitList.push(currentDj);
+        }
 
         for (i = 0; i < waitList.length; i++) {
             var translatedDj = Translator.translateUserObject(waitList[i]);
@@ -100,14 +154,14 @@ function populateUsers(globalObject, callback) {
                 },
                 votes: null // we can't get voting info from the history
             };
-            globalObject.roomState.playHistory.push(play);
+            _mergePlay(globalObject.roomState.playHistory, play);
         }
 
         // Add the currently playing song to the DJ history, since we won't get
         // any other chance to do so. (At this point the initial ADVANCE event
         // from joining the room has almost certainly already fired and been missed.)
         if (currentSong && currentDj) {
-            var elapsedTime = globalObject.bot.bot.getTimeElapsed();
+            var elapsedTime = transport.getTimeElapsed();
             var startDate = Date.now() - elapsedTime * 1000;
             var currentPlay = {
                 media: currentSong,
@@ -133,7 +187,19 @@ function populateUsers(globalObject, callback) {
                 }
             }
 
-            globalObject.roomState.playHistory.unshift(currentPlay);
+            // If we already knew about the current play (e.g. after reconnecting), the
+            // votes we just read are more up to date than the ones we recorded
+            var existingPlay = globalObject.roomState.playHistory[0];
+            if (existingPlay && _isSamePlay(existingPlay, currentPlay)) {
+                existingPlay.votes = currentPlay.votes;
+            }
+            else {
+                globalObject.roomState.playHistory.unshift(currentPlay);
+            }
+        }
+
+        if (globalObject.roomState.playHistory.length > maxPlayHistoryLength) {
+            globalObject.roomState.playHistory.length = maxPlayHistoryLength;
         }
 
         callback();
@@ -295,6 +361,63 @@ function onVote(event, globalObject) {
     }
 }
 
+/**
+ * Checks whether two plays refer to the same play of a song. Start dates are only
+ * compared approximately, since the start date of the current play has to be
+ * estimated from how long it's been playing.
+ */
+function _isSamePlay(play1, play2) {
+    return play1.media.contentID === play2.media.contentID &&
+           play1.user.userID === play2.user.userID &&
+           Math.abs(play1.startDate - play2.startDate) < PLAY_START_DATE_TOLERANCE_IN_MS;
+}
+
+/**
+ * Adds a play to the play history, keeping the history sorted with the most recent
+ * play first. If the play is already present, the existing entry is kept.
+ */
+function _mergePlay(playHistory, play) {
+    for (var i = 0; i < playHistory.length; i++) {
+        if (_isSamePlay(playHistory[i], play)) {
+            return;
+        }
+    }
+
+    var insertionIndex = 0;
+    while (insertionIndex < playHistory.length && playHistory[insertionIndex].startDate >= play.startDate) {
+        insertionIndex++;
+    }
+
+    playHistory.splice(insertionIndex, 0, play);
+}
+
+/**
+ * Loads the chat and play history saved by saveHistory, if there is any.
+ */
+function _restoreHistory(globalObject) {
+    var config = globalObject.config.PlugBotBase;
+
+    if (!config.isRoomHistoryPersisted) {
+        return;
+    }
+
+    var storage = globalObject.storage.namespace(HISTORY_STORAGE_NAMESPACE);
+    var chatHistory = storage.get("chatHistory") || [];
+    var playHistory = storage.get("playHistory") || [];
+
+    globalObject.roomState.chatHistory = chatHistory.slice(0, config.numberOfChatEventsToStore);
+
+    for (var i = 0; i < playHistory.length; i++) {
+        _mergePlay(globalObject.roomState.playHistory, playHistory[i]);
+    }
+
+    if (globalObject.roomState.playHistory.length > config.numberOfPlayedSongsToStore) {
+        globalObject.roomState.playHistory.length = config.numberOfPlayedSongsToStore;
+    }
+
+    LOG.info("Restored {} chat messages and {} plays from the last run", globalObject.roomState.chatHistory.length, globalObject.roomState.playHistory.length);
+}
+
 function _findUserIndex(users, userID) {
     for (var i = 0; i < users.length; i++) {
         var user = users[i];
@@ -321,5 +444,7 @@ function _removeUser(users, userID) {
 }
 
 module.exports = {
-    init: init
+    init: init,
+    resync: resync,
+    saveHistory: saveHistory
 };
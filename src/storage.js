@@ -0,0 +1,192 @@
+"use strict";
+
+/**
+ * A simple persistent key-value store for modules, available as globalObject.storage.
+ * Data is divided into namespaces, so that modules don't step on each other's keys;
+ * by convention, a module uses its own name as its namespace.
+ *
+ * @example
+ * var points = globalObject.storage.namespace("points");
+ * points.set(userID, (points.get(userID) || 0) + 1);
+ *
+ * Reads and writes happen in memory, so they're synchronous. Changes are saved to the
+ * backend shortly afterwards, once no more have been made for flushDelayInMilliseconds (but
+ * never more than maxFlushDelayInMilliseconds after the first unsaved change, so that a
+ * namespace which changes constantly is still saved), and everything is saved when the bot
+ * stops. Values must survive being converted to JSON; they're copied on the way in and out,
+ * so changing a value after setting it (or after getting it) has no effect until it's set again.
+ */
+
+var Log = require("./log");
+var Utils = require("./utils");
+
+var LOG = new Log("PlugBotBase-Storage");
+
+/**
+ * @param {object} backend - Where data is saved, such as a FileStorageBackend
+ * @param {number} flushDelayInMilliseconds - How long to wait after a change before saving
+ * @param {number} maxFlushDelayInMilliseconds - Optional. The longest changes can go unsaved while more
+ *                                               keep being made; defaults to ten times flushDelayInMilliseconds
+ */
+function Storage(backend, flushDelayInMilliseconds, maxFlushDelayInMilliseconds) {
+    this._backend = backend;
+    this._flushDelayInMilliseconds = flushDelayInMilliseconds;
+    this._maxFlushDelayInMilliseconds = typeof maxFlushDelayInMilliseconds === "number" ? maxFlushDelayInMilliseconds : flushDelayInMilliseconds * 10;
+    this._namespaces = {};
+}
+
+/**
+ * Retrieves a namespace, loading its data from the backend the first time it's used.
+ *
+ * @param {string} name - The name of the namespace
+ * @returns {object} The namespace, which has get, set, delete, list and flush methods
+ */
+Storage.prototype.namespace = function(name) {
+    Utils.checkNotEmpty(name, "Storage.namespace called without a name");
+
+    if (!this._namespaces[name]) {
+        this._namespaces[name] = new StorageNamespace(this, name, this._backend.load(name) || {});
+    }
+
+    return this._namespaces[name];
+};
+
+/**
+ * Saves every namespace with unsaved changes right away.
+ *
+ * @returns {Promise} A promise which resolves once everything is saved, or rejects if anything couldn't be
+ */
+Storage.prototype.flush = function() {
+    var promises = [];
+    for (var name in this._namespaces) {
+        promises.push(this._namespaces[name].flush());
+    }
+
+    return Promise.all(promises);
+};
+
+function StorageNamespace(storage, name, data) {
+    this.name = name;
+
+    this._storage = storage;
+    this._data = data;
+    this._flushTimeout = null;
+    this._isDirty = false;
+    this._firstUnsavedChangeDate = null;
+    this._savePromise = Promise.resolve();
+}
+
+/**
+ * @param {string} key - The key to look up
+ * @returns {mixed} The value stored under the key, or undefined if there isn't one
+ */
+StorageNamespace.prototype.get = function(key) {
+    return _copy(this._data[key]);
+};
+
+/**
+ * @param {string} key - The key to store the value under
+ * @param {mixed} value - Any value which can be converted to JSON
+ */
+StorageNamespace.prototype.set = function(key, value) {
+    Utils.checkHasValue(value, "Storage.set called with no value for key '" + key + "'; use delete to remove keys");
+
+    this._data[key] = _copy(value);
+    this._scheduleFlush();
+};
+
+/**
+ * @param {string} key - The key to remove
+ * @returns {boolean} Whether there was a value stored under the key
+ */
+StorageNamespace.prototype.delete = function(key) {
+    if (!(key in this._data)) {
+        return false;
+    }
+
+    delete this._data[key];
+    this._scheduleFlush();
+    return true;
+};
+
+/**
+ * @returns {array} Every key in the namespace
+ */
+StorageNamespace.prototype.list = function() {
+    return Object.keys(this._data);
+};
+
+/**
+ * Saves the namespace right away, if it has unsaved changes.
+ *
+ * @returns {Promise} A promise which resolves once the namespace is saved, or rejects if it couldn't be
+ */
+StorageNamespace.prototype.flush = function() {
+    clearTimeout(this._flushTimeout);
+    this._flushTimeout = null;
+
+    if (!this._isDirty) {
+        return this._savePromise;
+    }
+
+    this._isDirty = false;
+    this._firstUnsavedChangeDate = null;
+
+    // Saves happen one at a time, so an older snapshot can never overwrite a newer one
+    var self = this;
+    var data = _copy(this._data);
+    this._savePromise = this._savePromise.catch(function() {}).then(function() {
+        return new Promise(function(resolve, reject) {
+            self._storage._backend.save(self.name, data, function(error) {
+                if (error) {
+                    LOG.error("Failed to save the storage namespace '{}'; it'll be tried again shortly. Error: {}", self.name, error.message);
+
+                    // Unless a newer change has already scheduled a flush, nothing else would save these changes
+                    if (self._flushTimeout === null) {
+                        self._scheduleFlush();
+                    }
+
+                    reject(error);
+                    return;
+                }
+
+                resolve();
+            });
+        });
+    });
+
+    return this._savePromise;
+};
+
+/**
+ * Schedules a save once changes stop for the flush delay, or once the oldest unsaved change
+ * reaches the maximum flush delay, whichever comes first.
+ */
+StorageNamespace.prototype._scheduleFlush = function() {
+    if (!this._isDirty || this._firstUnsavedChangeDate === null) {
+        this._firstUnsavedChangeDate = Date.now();
+    }
+
+    this._isDirty = true;
+
+    clearTimeout(this._flushTimeout);
+
+    var timeUntilMaxDelay = this._firstUnsavedChangeDate + this._storage._maxFlushDelayInMilliseconds - Date.now();
+    var delay = Math.max(0, Math.min(this._storage._flushDelayInMilliseconds, timeUntilMaxDelay));
+
+    var self = this;
+    this._flushTimeout = setTimeout(function() {
+        self.flush().catch(function() {
+            // Already logged, and another flush has been scheduled
+        });
+    }, delay);
+
+    // Everything is flushed when the bot stops, so pending saves shouldn't keep the process alive
+    this._flushTimeout.unref();
+};
+
+function _copy(value) {
+    return typeof value === "undefined" ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = Storage;
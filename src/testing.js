@@ -0,0 +1,461 @@
+"use strict";
+
+/**
+ * Helpers for unit testing command and event listener modules, available as
+ * PlugBotBase.testing. Nothing here touches the network.
+ *
+ * A harness runs modules against a real Bot, StateTracker and command handler, all
+ * talking to a SimulatedRoom, and records every action the bot is asked to take:
+ *
+ * @example
+ * var testing = require("plugbotbase").testing;
+ *
+ * testing.createHarness({
+ *     commands: [require("../commands/skip")],
+ *     room: { users: [{ id: 2, username: "alice", role: 2 }], waitList: [2] }
+ * }).then(function(harness) {
+ *     harness.chat(2, "!skip");
+ *     assert.equal(harness.getCalls("forceSkip").length, 1);
+ *     return harness.stop();
+ * });
+ *
+ * To call a handler directly instead, testing.events builds translated events shaped
+ * exactly like the ones the bot dispatches:
+ *
+ * @example
+ * myListener[Event.VOTE](testing.events.vote({ user: { id: 2, username: "alice" }, direction: -1 }), globalObject);
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var CommandHandler = require("./command_handler");
+var Config = require("./config");
+var ConfigSchema = require("./config_schema");
+var Modules = require("./modules");
+var Plug = require("./plug");
+var PlugApiTransport = require("./plugapi_transport");
+var SimulatedRoom = require("./simulated_room");
+var StateTracker = require("./state_tracker");
+var Storage = require("./storage");
+var Translator = require("./translator");
+var Types = require("./types");
+var Utils = require("./utils");
+
+var Event = Types.Event;
+
+var DEFAULT_CONFIG_PATH = path.resolve(__dirname, "../config/defaults.json");
+var DEFAULT_ROOM_NAME = "test-room";
+var DEFAULT_USER = { id: 2, username: "testUser" };
+
+// Every Bot method which takes an action in the room, and so is recorded by a harness
+var ACTION_NAMES = [
+    "banUser",
+    "deleteChat",
+    "forceSkip",
+    "grabSong",
+    "joinWaitList",
+    "leaveWaitList",
+    "mehSong",
+    "moveDjInWaitList",
+    "muteUser",
+    "sendChat",
+    "sendChatWithPriority",
+    "unbanUser",
+    "unmuteUser",
+    "wootSong"
+];
+
+/**
+ * A storage backend which keeps everything in memory, so that tests start from
+ * nothing and leave nothing behind.
+ */
+function MemoryStorageBackend() {
+    this.data = {};
+}
+
+MemoryStorageBackend.prototype.load = function(namespace) {
+    return this.data[namespace] ? JSON.parse(JSON.stringify(this.data[namespace])) : null;
+};
+
+MemoryStorageBackend.prototype.save = function(namespace, data, callback) {
+    this.data[namespace] = JSON.parse(JSON.stringify(data));
+    setImmediate(function() {
+        callback(null);
+    });
+};
+
+/**
+ * Creates a harness and starts it: the bot joins the simulated room, the room state is
+ * loaded, and then each module is initialized and registered in the order given.
+ *
+ * @param {object} options - Optional. Supports the following keys:
+ *                           commands - an array of command modules
+ *                           eventListeners - an array of event listener modules
+ *                           config - config to merge over the defaults, e.g. { PlugBotBase: { commandPrefix: "?" } };
+ *                                    it's validated just as it would be by start()
+ *                           room - options for the SimulatedRoom, such as users and waitList
+ * @returns {Promise} A promise which resolves to the started Harness
+ */
+function createHarness(options) {
+    var harness = new Harness(options);
+    return harness._start(options || {}).then(function() {
+        return harness;
+    });
+}
+
+/**
+ * Runs modules against a bot connected to a SimulatedRoom. Use createHarness rather than
+ * constructing one directly.
+ *
+ * The harness exposes the room (to drive events with its scripting API, e.g. harness.room.advance()),
+ * the bot and the globalObject the modules see. Every action the bot takes is recorded in
+ * harness.calls, as objects of the form { action, args }; chat calls also have the formatted
+ * message, as it would be sent. Actions are still carried out against the room.
+ *
+ * Since the bot keeps errors thrown by handlers from escaping, each one is recorded in
+ * harness.errors instead, as the ERROR event which the bot dispatched for it.
+ */
+function Harness(options) {
+    options = options || {};
+
+    var roomOptions = {};
+    for (var key in options.room) {
+        roomOptions[key] = options.room[key];
+    }
+    roomOptions.roomName = roomOptions.roomName || DEFAULT_ROOM_NAME;
+
+    this.calls = [];
+    this.errors = [];
+    this.room = new SimulatedRoom(roomOptions);
+
+    var config = _createConfig(options.config, roomOptions.roomName);
+    this.globalObject = {
+        config: config,
+        storage: new Storage(new MemoryStorageBackend(), config.PlugBotBase.storageFlushDelayInMilliseconds,
+                             config.PlugBotBase.storageMaxFlushDelayInMilliseconds)
+    };
+
+    this.bot = new Plug.Bot(new PlugApiTransport(null, this.room), this.globalObject);
+    this.globalObject.bot = this.bot;
+
+    var errors = this.errors;
+    this.bot.on(Event.ERROR, function(event) {
+        errors.push(event);
+    });
+
+    this._startedEntries = [];
+    _recordActions(this);
+}
+
+/**
+ * Sends a chat message as a user in the room. If it's a command, it goes through the
+ * same permission, cooldown and argument checks as it would in a running bot.
+ *
+ * @param {mixed} userID - The ID of a user in the room
+ * @param {string} message - The message to send
+ * @returns {string} The chat ID assigned to the message
+ */
+Harness.prototype.chat = function(userID, message) {
+    return this.room.chat(userID, message);
+};
+
+/**
+ * @param {string} actionName - Optional. The name of a Bot action, e.g. "banUser"
+ * @returns {array} The recorded calls to that action, or to every action if none is given
+ */
+Harness.prototype.getCalls = function(actionName) {
+    return this.calls.filter(function(call) {
+        return !actionName || call.action === actionName;
+    });
+};
+
+/**
+ * @returns {array} Every chat message the bot has been asked to send, with placeholders filled in
+ */
+Harness.prototype.getChatMessages = function() {
+    return this.calls.filter(function(call) {
+        return typeof call.message === "string";
+    }).map(function(call) {
+        return call.message;
+    });
+};
+
+/**
+ * Forgets every recorded call.
+ */
+Harness.prototype.clearCalls = function() {
+    this.calls.length = 0;
+};
+
+/**
+ * Destroys every module, in the reverse of the order they were started, and disconnects the bot.
+ * As when the bot stops, errors from destroy functions are logged rather than passed on.
+ *
+ * @returns {Promise} A promise which resolves once everything is stopped
+ */
+Harness.prototype.stop = function() {
+    var self = this;
+
+    return Modules.destroyModules(this._startedEntries.splice(0).reverse(), this.globalObject).then(function() {
+        self.bot.disconnect();
+    });
+};
+
+Harness.prototype._start = function(options) {
+    var self = this;
+    var bot = this.bot;
+    var globalObject = this.globalObject;
+    var commands = [];
+
+    return new Promise(function(resolve) {
+        var hasJoined = false;
+        bot.on(Event.ROOM_JOIN, function() {
+            if (!hasJoined) {
+                hasJoined = true;
+                resolve();
+            }
+        });
+
+        bot.connect(globalObject.config.PlugBotBase.roomName);
+    }).then(function() {
+        return new Promise(function(resolve) {
+            StateTracker.init(globalObject, resolve);
+        });
+    }).then(function() {
+        // As when the bot starts, every module is loaded (so custom events are declared) before any is initialized
+        var entries = _loadEntries(Modules.createCommandModuleType(globalObject, commands), options.commands, "a command in the test harness")
+            .concat(_loadEntries(Modules.createEventListenerModuleType(globalObject), options.eventListeners, "an event listener in the test harness"));
+
+        return entries.reduce(function(promise, entry) {
+            return promise.then(function() {
+                return Modules.startModule(entry, globalObject);
+            }).then(function() {
+                self._startedEntries.push(entry);
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        bot.on(Event.CHAT_COMMAND, CommandHandler.create(commands));
+    });
+};
+
+/**
+ * Builds translated events shaped exactly like the ones the bot dispatches, for calling
+ * handlers directly. Each takes an options object; users are given in the same form as
+ * for a SimulatedRoom, e.g. { id: 2, username: "alice", role: 2 }, and role may also be
+ * a value from the UserRole enum. Users default to { id: 2, username: "testUser" }.
+ */
+var events = {
+    /**
+     * @param {object} options - Contains dj, the user playing, and optionally media, in PlugAPI's format
+     */
+    advance: function(options) {
+        options = options || {};
+        var dj = _createTestUser(options.dj);
+        var room = _createScratchRoom([dj]);
+
+        // Put the DJ in line without triggering an advance, so the advance can be given the media
+        room.waitList.push(room.getUser(dj.id));
+
+        return _withEventName(Translator.translateAdvanceEvent(_captureRawEvent(room, "advance", function() {
+            room.advance(options.media);
+        })), Event.ADVANCE);
+    },
+
+    /**
+     * @param {object} options - Contains user, message, and optionally type ("message", "emote" or
+     *                           "mention") and commandPrefixes (defaulting to ["!"])
+     */
+    chat: function(options) {
+        options = options || {};
+        var rawEvent = _createRawChatEvent(options);
+        return _withEventName(Translator.translateChatEvent(rawEvent, options.commandPrefixes || ["!"]), Event.CHAT);
+    },
+
+    /**
+     * @param {object} options - Contains user, message and optionally commandPrefixes (defaulting to ["!"])
+     */
+    chatCommand: function(options) {
+        options = options || {};
+        var rawEvent = _createRawChatEvent(options);
+        var commandEvent = Translator.translateCommandEvent(rawEvent, options.commandPrefixes || ["!"]);
+
+        if (!commandEvent) {
+            throw new Error("testing.events.chatCommand was given a message which isn't a command: " + options.message);
+        }
+
+        return _withEventName(commandEvent, Event.CHAT_COMMAND);
+    },
+
+    /**
+     * @param {object} options - Contains user, who grabs the current song
+     */
+    grab: function(options) {
+        options = options || {};
+        var user = _createTestUser(options.user);
+        var room = _createScratchRoom([user], [user.id]);
+
+        return _withEventName(Translator.translateGrabEvent(_captureRawEvent(room, "grab", function() {
+            room.grabAs(user.id);
+        })), Event.GRAB);
+    },
+
+    /**
+     * @param {object} options - Contains user, who joins the room
+     */
+    userJoin: function(options) {
+        options = options || {};
+        var user = _createTestUser(options.user);
+        var room = _createScratchRoom([]);
+
+        return _withEventName(Translator.translateUserJoinEvent(_captureRawEvent(room, "userJoin", function() {
+            room.addUser(user);
+        })), Event.USER_JOIN);
+    },
+
+    /**
+     * @param {object} options - Contains user, who leaves the room
+     */
+    userLeave: function(options) {
+        options = options || {};
+        var user = _createTestUser(options.user);
+        var room = _createScratchRoom([user]);
+
+        return _withEventName(Translator.translateUserLeaveEvent(_captureRawEvent(room, "userLeave", function() {
+            room.removeUser(user.id);
+        })), Event.USER_LEAVE);
+    },
+
+    /**
+     * @param {object} options - Contains user, and direction: 1 for a woot (the default) or -1 for a meh
+     */
+    vote: function(options) {
+        options = options || {};
+        var user = _createTestUser(options.user);
+        var room = _createScratchRoom([user], [user.id]);
+
+        return _withEventName(Translator.translateVoteEvent(_captureRawEvent(room, "vote", function() {
+            room.vote(user.id, options.direction || 1);
+        })), Event.VOTE);
+    }
+};
+
+/**
+ * Builds the config for a harness from the defaults, some placeholder credentials and the test's own
+ * config, then validates it.
+ */
+function _createConfig(overrides, roomName) {
+    // Read afresh rather than required, since start() merges the live config into the required object
+    var config = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, "utf8"));
+
+    Config.merge(config, {
+        PlugBotBase: {
+            botEmail: "test@example.com",
+            botPassword: "test",
+            roomName: roomName
+        }
+    });
+    Config.merge(config, overrides || {});
+    Config.checkAgainstSchema(config, ConfigSchema.PLUG_BOT_BASE_SCHEMA);
+
+    return config;
+}
+
+/**
+ * Turns the modules given to a harness into module entries, as start() does with the modules it
+ * finds in files. Modules have no name in a harness, so dependsOn isn't supported.
+ */
+function _loadEntries(moduleType, modules, description) {
+    return (modules || []).map(function(module) {
+        var entry = moduleType.load(module, description);
+        if (!entry) {
+            throw new Error("The test harness was given a module which isn't a " + moduleType.name + " module");
+        }
+
+        entry.filePath = description;
+        entry.name = description;
+        entry.type = moduleType;
+
+        return entry;
+    });
+}
+
+/**
+ * Wraps each of the bot's actions so that calls to it are recorded before it runs.
+ */
+function _recordActions(harness) {
+    var bot = harness.bot;
+
+    ACTION_NAMES.forEach(function(actionName) {
+        var action = bot[actionName];
+
+        bot[actionName] = function() {
+            var args = Array.prototype.slice.call(arguments);
+            var call = { action: actionName, args: args };
+
+            if (actionName === "sendChat") {
+                call.message = Utils.replaceStringPlaceholders(args[0], args);
+            }
+            else if (actionName === "sendChatWithPriority") {
+                call.message = Utils.replaceStringPlaceholders(args[1], args.slice(1));
+            }
+
+            harness.calls.push(call);
+            return action.apply(bot, arguments);
+        };
+    });
+}
+
+function _createRawChatEvent(options) {
+    var user = _createTestUser(options.user);
+    var room = _createScratchRoom([user]);
+
+    return _captureRawEvent(room, "chat", function() {
+        room.chat(user.id, options.message, options.type);
+    });
+}
+
+function _createTestUser(user) {
+    user = user || DEFAULT_USER;
+
+    return {
+        id: user.id,
+        level: user.level,
+        role: user.role && typeof user.role === "object" ? user.role.level : user.role,
+        username: user.username
+    };
+}
+
+/**
+ * Creates a room which is only used to generate raw events, so that they're shaped exactly as
+ * a SimulatedRoom (and so PlugAPI) would shape them.
+ */
+function _createScratchRoom(users, waitList) {
+    var room = new SimulatedRoom({ users: users, waitList: waitList });
+    room.connected = true;
+    return room;
+}
+
+function _captureRawEvent(room, eventName, action) {
+    var rawEvent = null;
+    var listener = function(event) {
+        rawEvent = event;
+    };
+
+    room.on(eventName, listener);
+    action();
+    room.removeListener(eventName, listener);
+
+    return rawEvent;
+}
+
+function _withEventName(event, eventName) {
+    event.eventName = eventName;
+    return event;
+}
+
+exports.ACTION_NAMES = ACTION_NAMES;
+exports.Harness = Harness;
+exports.MemoryStorageBackend = MemoryStorageBackend;
+exports.createHarness = createHarness;
+exports.events = events;
@@ -114,12 +114,12 @@ function translateAdvanceEvent(event) {
     return obj;
 }
 
-function translateChatEvent(event) {
+function translateChatEvent(event, commandPrefixes) {
     return {
         chatID: event.raw.cid, // an ID assigned by plug.dj uniquely identifying this message
         isMuted: event.muted, // whether the user chatting is muted
         message: event.message, // the chat message sent
-        type: translateChatType(event), // what type of message was sent
+        type: translateChatType(event, commandPrefixes), // what type of message was sent
         userID: event.from ? event.from.id : event.raw.uid, // the ID of the user chatting
         username: event.from ? event.from.username : event.raw.un // the username of the user chatting
     };
@@ -132,8 +132,8 @@ function translateChatDeleteEvent(event) {
     };
 }
 
-function translateChatType(event) {
-    if (event.message[0] === "!") {
+function translateChatType(event, commandPrefixes) {
+    if (parseCommand(event.message, commandPrefixes)) {
         return Types.ChatType.COMMAND;
     }
 
@@ -150,19 +150,65 @@ function translateChatType(event) {
     }
 }
 
-function translateCommandEvent(event) {
-    var obj = {
-        command: event.command, // the command sent
+/**
+ * Translates a raw chat event into a command event, if the message is a command.
+ *
+ * @param {object} event - A raw chat event
+ * @param {array} commandPrefixes - The prefixes which mark a message as a command
+ * @returns {object} The command event, or null if the message isn't a command
+ */
+function translateCommandEvent(event, commandPrefixes) {
+    var parsedCommand = parseCommand(event.message, commandPrefixes);
+
+    if (!parsedCommand) {
+        return null;
+    }
+
+    return {
+        args: parsedCommand.args, // the whitespace-separated words following the command name
+        command: parsedCommand.command, // the command sent, without its prefix
         isMuted: event.muted, // whether the user chatting is muted
+        prefix: parsedCommand.prefix, // the prefix the command was sent with, e.g. "!"
         userID: event.from.id, // the ID of the user chatting
         username: event.from.username, // the username of the user chatting
         userRole: translateRole(event.from.role)
     };
+}
 
-    // Split message by spaces; splice to remove the command name from the arguments
-    obj.args = event.message.trim().split(/\s+/).splice(1);
+/**
+ * Splits a chat message into a command and its arguments, if it starts with one of
+ * the prefixes given. Prefixes are matched case-insensitively, longest first, so
+ * "!!" can be used alongside "!".
+ *
+ * @param {string} message - The chat message
+ * @param {array} commandPrefixes - The prefixes which mark a message as a command
+ * @returns {object} An object with the matching prefix, the command name and an array of
+ *                   args, or null if the message isn't a command
+ */
+function parseCommand(message, commandPrefixes) {
+    var prefixes = (commandPrefixes || []).slice().sort(function(a, b) {
+        return b.length - a.length;
+    });
+
+    for (var i = 0; i < prefixes.length; i++) {
+        var prefix = prefixes[i];
+        if (!prefix || message.substr(0, prefix.length).toLowerCase() !== prefix.toLowerCase()) {
+            continue;
+        }
+
+        var words = message.substr(prefix.length).trim().split(/\s+/);
+        if (!words[0]) {
+            continue;
+        }
+
+        return {
+            args: words.slice(1),
+            command: words[0],
+            prefix: message.substr(0, prefix.length)
+        };
+    }
 
-    return obj;
+    return null;
 }
 
 function translateDjListCycleEvent(event) {
@@ -258,6 +304,7 @@ function translateModMuteEvent(event) {
         case "s":
             muteDurationInSeconds = 15 * 60;
             break;
+        case "m":
         case "d":
             muteDurationInSeconds = 30 * 60;
             break;
@@ -399,6 +446,7 @@ function translateRole(roleAsInt) {
 }
 
 module.exports = {
+    parseCommand: parseCommand,
     translateAdvanceEvent: translateAdvanceEvent,
     translateChatEvent: translateChatEvent,
     translateCommandEvent: translateCommandEvent,
@@ -0,0 +1,207 @@
+"use strict";
+
+/**
+ * Defines the contract between the Bot and whatever service it's talking to.
+ * The Bot never talks to plug.dj (or anything else) directly; it only calls the
+ * methods listed here, so a transport can be swapped out without any changes to
+ * the Bot, the StateTracker or client modules.
+ *
+ * Implementations should inherit from Transport and override every method. Anything
+ * left un-overridden will throw when called.
+ *
+ * Raw events are emitted through the handlers passed to "on", using the same event
+ * names and payload formats as PlugAPI, since those are what the Translator understands.
+ * In addition, a transport must emit "disconnected" whenever it loses its connection to
+ * the room. The Bot will then close it and call connect again to reconnect. Like plug.dj,
+ * it should also emit the bot's own chat messages, since that's how their delivery is confirmed.
+ *
+ * Action methods follow PlugAPI's convention: they return a Boolean which is true
+ * if the request was sent, and if it was, the optional callback is called once the
+ * request has completed with an error (or null) as its first argument.
+ */
+
+var Utils = require("./utils");
+
+var METHODS = [
+    // Connection and events
+    "connect",
+    "close",
+    "on",
+    "getRawEventNames",
+
+    // Initial state queries
+    "getDJ",
+    "getHistory",
+    "getMedia",
+    "getSelf",
+    "getTimeElapsed",
+    "getUsers",
+    "getWaitList",
+
+    // Actions
+    "banUser",
+    "deleteChat",
+    "forceSkip",
+    "grabSong",
+    "joinWaitList",
+    "leaveWaitList",
+    "mehSong",
+    "moveDjInWaitList",
+    "muteUser",
+    "sendChat",
+    "unbanUser",
+    "unmuteUser",
+    "wootSong"
+];
+
+function Transport() {
+}
+
+/**
+ * Begins connecting to the given room. Completion is signalled by the
+ * transport emitting the "roomJoin" raw event.
+ *
+ * @param {string} roomName - The name (slug) of the room to join
+ */
+Transport.prototype.connect = _notImplemented("connect");
+
+/**
+ * Closes the connection to the room.
+ */
+Transport.prototype.close = _notImplemented("close");
+
+/**
+ * Subscribes to a raw event from the underlying service.
+ *
+ * @param {string} eventName - The raw event name, e.g. "advance"
+ * @param {function} handler - Called with the raw event payload
+ */
+Transport.prototype.on = _notImplemented("on");
+
+/**
+ * @returns {array} The names of every raw event this transport can emit, including
+ *                  ones PlugBotBase has no translator for. Used by logAllEvents.
+ */
+Transport.prototype.getRawEventNames = _notImplemented("getRawEventNames");
+
+/**
+ * @returns {object} The raw user object of the current DJ, or null if there isn't one
+ */
+Transport.prototype.getDJ = _notImplemented("getDJ");
+
+/**
+ * Retrieves the room's play history, most recent first.
+ *
+ * @param {function} callback - Called with an array of raw history entries
+ */
+Transport.prototype.getHistory = _notImplemented("getHistory");
+
+/**
+ * @returns {object} The raw media object currently playing, or null if there isn't one
+ */
+Transport.prototype.getMedia = _notImplemented("getMedia");
+
+/**
+ * @returns {object} The raw user object of the bot itself, or null if not yet known
+ */
+Transport.prototype.getSelf = _notImplemented("getSelf");
+
+/**
+ * @returns {integer} How many seconds the current media has been playing for
+ */
+Transport.prototype.getTimeElapsed = _notImplemented("getTimeElapsed");
+
+/**
+ * @returns {array} Raw user objects for everyone in the room, including the bot
+ */
+Transport.prototype.getUsers = _notImplemented("getUsers");
+
+/**
+ * @returns {array} Raw user objects for everyone in the wait list, not including the current DJ
+ */
+Transport.prototype.getWaitList = _notImplemented("getWaitList");
+
+/**
+ * @param {mixed} userID - The user to ban
+ * @param {string} banDuration - A value from the BanDuration enum
+ * @param {string} banReason - A value from the BanReason enum
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.banUser = _notImplemented("banUser");
+
+/**
+ * @param {string} chatID - The ID of the chat message to delete
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.deleteChat = _notImplemented("deleteChat");
+
+Transport.prototype.forceSkip = _notImplemented("forceSkip");
+Transport.prototype.grabSong = _notImplemented("grabSong");
+Transport.prototype.joinWaitList = _notImplemented("joinWaitList");
+Transport.prototype.leaveWaitList = _notImplemented("leaveWaitList");
+Transport.prototype.mehSong = _notImplemented("mehSong");
+
+/**
+ * @param {mixed} userID - The user to move
+ * @param {integer} newPosition - The user's new 1-based position in the wait list
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.moveDjInWaitList = _notImplemented("moveDjInWaitList");
+
+/**
+ * @param {mixed} userID - The user to mute
+ * @param {string} muteDuration - A value from the MuteDuration enum
+ * @param {string} muteReason - A value from the MuteReason enum
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.muteUser = _notImplemented("muteUser");
+
+/**
+ * @param {string} message - The fully formatted chat message to send
+ */
+Transport.prototype.sendChat = _notImplemented("sendChat");
+
+/**
+ * @param {mixed} userID - The user whose ban should be lifted
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.unbanUser = _notImplemented("unbanUser");
+
+/**
+ * @param {mixed} userID - The user whose mute should be lifted
+ * @param {function} callback - Optional
+ * @returns {boolean} Whether the request was sent
+ */
+Transport.prototype.unmuteUser = _notImplemented("unmuteUser");
+
+Transport.prototype.wootSong = _notImplemented("wootSong");
+
+/**
+ * Checks that the object provided implements every method of the transport contract.
+ * If it doesn't, throws an error naming the first missing method.
+ *
+ * @param {object} transport - The object to check
+ */
+function validate(transport) {
+    Utils.checkHasValue(transport, "No transport provided");
+
+    for (var i = 0; i < METHODS.length; i++) {
+        Utils.checkHasType(transport[METHODS[i]], "function", "Transport is missing required method '" + METHODS[i] + "'");
+    }
+}
+
+function _notImplemented(methodName) {
+    return function() {
+        throw new Error("Transport method not implemented: " + methodName);
+    };
+}
+
+Transport.METHODS = METHODS;
+Transport.validate = validate;
+
+module.exports = Transport;
@@ -2,6 +2,23 @@
  * Contains various types and enums used throughout PlugBotBase.
  */
 
+var ActionFailureReason = {
+    NO_CURRENT_DJ: "NO_CURRENT_DJ", // the action needs something to be playing, and nothing is
+    NOT_CONNECTED: "NOT_CONNECTED", // the bot isn't connected to the room
+    NOT_PERMITTED: "NOT_PERMITTED", // the bot's role is too low, or not higher than the target user's
+    REQUEST_REJECTED: "REQUEST_REJECTED", // the request was refused for some other reason, e.g. the server returned an error
+    TIMEOUT: "TIMEOUT", // no response was received within PlugBotBase.actionTimeoutInSeconds
+    USER_NOT_FOUND: "USER_NOT_FOUND" // the target user isn't where the action needs them to be
+};
+
+var ArgumentType = {
+    DURATION: "duration", // e.g. "30s", "5m", "2h", "1d" or "1h30m"; a plain number means minutes. Parsed to seconds
+    INT: "int", // a whole number
+    REST: "rest", // everything left on the line, as a single string; must be the last argument
+    STRING: "string", // a single word
+    USER: "user" // a user in the room, by name with or without a leading @; parsed to the user object from roomState
+};
+
 var BanDuration = {
     DAY: "1 day",
     HOUR: "1 hour",
@@ -16,6 +33,12 @@ var BanReason = {
     NEGATIVE_ATTITUDE: "Negative attitude"
 };
 
+var ChatPriority = {
+    HIGH: "high", // e.g. moderation notices; sent before anything else
+    NORMAL: "normal",
+    LOW: "low" // e.g. chatter which can wait until the room is quiet
+};
+
 var ChatType = {
     COMMAND: "command",
     EMOTE : "emote",
@@ -27,10 +50,13 @@ var Event = {
     CHAT: 'chat', // someone sends a chat message
     CHAT_COMMAND: 'command', // someone sends a chat message prefixed with "!"
     CHAT_DELETE: 'chatDelete', // a mod deletes a chat message
+    CONFIG_CHANGED: 'configChanged', // configuration is reloaded and some of it has changed (raised by PlugBotBase)
+    DISCONNECTED: 'disconnected', // the bot loses its connection to the room (raised by PlugBotBase)
     DJ_LIST_CYCLE: 'djListCycle', // a mod enables/disables DJ cycle
     DJ_LIST_UPDATE: 'djListUpdate', // someone joins or leaves the wait list, or a mod reorders the wait list
     DJ_LIST_LOCKED: 'djListLocked', // a mod locks/unlocks the wait list
     EARN: 'earn', // the bot gains exp
+    ERROR: 'error', // an event handler throws an error (raised by PlugBotBase)
     GRAB: 'grab', // someone grabs the current song
     MODERATE_ADD_DJ: 'modAddDJ', // a mod adds a DJ to the wait list
     MODERATE_BAN: 'modBan', // a mod bans a user from the room
@@ -39,6 +65,7 @@ var Event = {
     MODERATE_REMOVE_DJ: 'modRemoveDJ', // a mod removes a DJ from the wait list
     MODERATE_SKIP: 'modSkip', // a mod skips the current DJ
     MODERATE_STAFF: 'modStaff', // a mod changes somebody's staff level
+    RECONNECTED: 'reconnected', // the bot rejoins the room after a disconnect and room state is resynced (raised by PlugBotBase)
     ROOM_DESCRIPTION_UPDATE: 'roomDescriptionUpdate', // a mod changes the room's description
     ROOM_JOIN: 'roomJoin', // the bot joins a room
     ROOM_MIN_CHAT_LEVEL_UPDATE: 'roomMinChatLevelUpdate', // a mod changes the minimum level users must have to chat
@@ -51,6 +78,12 @@ var Event = {
     VOTE: 'vote' // a user woots or mehs
 };
 
+var MuteDuration = {
+    SHORT: "15 minutes",
+    MEDIUM: "30 minutes",
+    LONG: "45 minutes"
+};
+
 var MuteReason = {
     NEGATIVE_ATTITUDE: "Negative attitude",
     OFFENSIVE_LANGUAGE: "Offensive language",
@@ -68,9 +101,13 @@ var Role = {
     HOST : { name: "host", level: 5}
 };
 
+exports.ActionFailureReason = ActionFailureReason;
+exports.ArgumentType = ArgumentType;
 exports.BanDuration = BanDuration;
 exports.BanReason = BanReason;
+exports.ChatPriority = ChatPriority;
 exports.ChatType = ChatType;
 exports.Event = Event;
+exports.MuteDuration = MuteDuration;
 exports.MuteReason = MuteReason;
 exports.UserRole = Role;
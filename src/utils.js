@@ -199,6 +199,129 @@ function replaceStringPlaceholders(string, args) {
     return string;
 }
 
+/**
+ * Watches a directory and all of its subdirectories for changes to files, calling
+ * the callback once for each file which changes. Editors often write a file in several
+ * steps, so changes are only reported once a file has stopped changing for the delay
+ * given. The watcher doesn't keep the process alive.
+ *
+ * Recursive watching isn't available on every platform (notably Linux before Node 19),
+ * so each directory is watched separately, and subdirectories created later are watched
+ * as they appear.
+ *
+ * @param {string} directory - The path to the directory to watch, which must exist
+ * @param {number} delayInMilliseconds - How long a file must go unchanged before the callback is called
+ * @param {function} callback - Called with the absolute path of each file which was created, changed or deleted
+ * @returns {object} An object with a close function, to stop watching
+ */
+function watchDirectory(directory, delayInMilliseconds, callback) {
+    var pendingTimeouts = {};
+    var watchersByDirectory = {};
+
+    var reportChange = function(filePath) {
+        clearTimeout(pendingTimeouts[filePath]);
+        pendingTimeouts[filePath] = setTimeout(function() {
+            delete pendingTimeouts[filePath];
+            callback(filePath);
+        }, delayInMilliseconds);
+    };
+
+    var stopWatching = function(watchedDirectory) {
+        if (watchersByDirectory[watchedDirectory]) {
+            watchersByDirectory[watchedDirectory].close();
+            delete watchersByDirectory[watchedDirectory];
+        }
+    };
+
+    var watch = function(watchedDirectory) {
+        if (watchersByDirectory[watchedDirectory]) {
+            return;
+        }
+
+        var watcher = fs.watch(watchedDirectory, { persistent: false }, function(eventType, fileName) {
+            if (!fileName) {
+                return;
+            }
+
+            // Some platforms report a watched directory's own deletion as a change within it
+            if (!_statIfExists(watchedDirectory)) {
+                stopWatching(watchedDirectory);
+                return;
+            }
+
+            var filePath = path.resolve(watchedDirectory, fileName);
+            var fileStats = _statIfExists(filePath);
+
+            if (fileStats && fileStats.isDirectory()) {
+                // A new directory may already have files in it, e.g. if it was moved here
+                watchTree(filePath).forEach(reportChange);
+            }
+            else if (!fileStats && watchersByDirectory[filePath]) {
+                stopWatching(filePath);
+            }
+            else {
+                reportChange(filePath);
+            }
+        });
+
+        // Watching a directory which is then deleted can fail on some platforms
+        watcher.on("error", function() {
+            stopWatching(watchedDirectory);
+        });
+
+        watchersByDirectory[watchedDirectory] = watcher;
+    };
+
+    // Watches a directory and everything under it, returning the files found in it
+    var watchTree = function(treeDirectory) {
+        var filePaths = [];
+
+        watch(treeDirectory);
+        fs.readdirSync(treeDirectory).forEach(function(fileName) {
+            var filePath = path.resolve(treeDirectory, fileName);
+            var fileStats = _statIfExists(filePath);
+
+            if (fileStats && fileStats.isDirectory()) {
+                filePaths = filePaths.concat(watchTree(filePath));
+            }
+            else if (fileStats) {
+                filePaths.push(filePath);
+            }
+        });
+
+        return filePaths;
+    };
+
+    try {
+        watchTree(path.resolve(directory));
+    }
+    catch (e) {
+        Object.keys(watchersByDirectory).forEach(stopWatching);
+        throw e;
+    }
+
+    return {
+        close: function() {
+            Object.keys(watchersByDirectory).forEach(stopWatching);
+
+            for (var filePath in pendingTimeouts) {
+                clearTimeout(pendingTimeouts[filePath]);
+            }
+
+            pendingTimeouts = {};
+        }
+    };
+}
+
+function _statIfExists(filePath) {
+    try {
+        return fs.statSync(filePath);
+    }
+    catch (e) {
+        return null;
+    }
+}
+
 /**
  * Checks that the keys which are in the first object are also in the second object,
  * and that they have the same value in both places.
@@ -232,5 +355,6 @@ module.exports = {
     deepEquals: deepEquals,
     findValueInObject: findValueInObject,
     getAllFilePathsUnderDirectory: getAllFilePathsUnderDirectory,
-    replaceStringPlaceholders: replaceStringPlaceholders
+    replaceStringPlaceholders: replaceStringPlaceholders,
+    watchDirectory: watchDirectory
 };
@@ -0,0 +1,163 @@
+"use strict";
+
+var assert = require("assert");
+
+var ActionError = require("../src/action_error");
+var ChatQueue = require("../src/chat_queue");
+var Log = require("../src/log");
+var Testing = require("../src/testing");
+var Types = require("../src/types");
+
+var ChatPriority = Types.ChatPriority;
+
+Log.configure({ level: "ERROR", sinks: [] });
+
+/**
+ * Creates a queue which sends into an array, and only while the returned object's
+ * isConnected is true.
+ */
+function createQueue(options) {
+    var result = {
+        isConnected: true,
+        sent: []
+    };
+
+    result.queue = new ChatQueue({
+        sendChat: function(message) {
+            result.sent.push(message);
+        }
+    }, {
+        burstSize: options.burstSize || 3,
+        intervalInMilliseconds: 10,
+        maxMessageLength: options.maxMessageLength || 250,
+        deliveryTimeoutInMilliseconds: options.deliveryTimeoutInMilliseconds || 1000,
+        isConnected: function() {
+            return result.isConnected;
+        }
+    });
+
+    return result;
+}
+
+describe("ChatQueue", function() {
+    describe("splitMessage", function() {
+        it("leaves short messages alone", function() {
+            assert.deepEqual(ChatQueue.splitMessage("hello there", 20), ["hello there"]);
+        });
+
+        it("splits long messages at word boundaries", function() {
+            assert.deepEqual(ChatQueue.splitMessage("one two three four", 9), ["one two", "three", "four"]);
+        });
+
+        it("breaks up words which are too long on their own", function() {
+            assert.deepEqual(ChatQueue.splitMessage("abcdefghij", 4), ["abcd", "efgh", "ij"]);
+        });
+    });
+
+    describe("enqueue", function() {
+        it("sends higher priority messages first, and messages of the same priority in order", function() {
+            var fixture = createQueue({ burstSize: 4 });
+            fixture.isConnected = false;
+
+            fixture.queue.enqueue("low", ChatPriority.LOW);
+            fixture.queue.enqueue("normal 1", ChatPriority.NORMAL);
+            fixture.queue.enqueue("high", ChatPriority.HIGH);
+            fixture.queue.enqueue("normal 2", ChatPriority.NORMAL);
+
+            fixture.isConnected = true;
+            fixture.queue.drain();
+
+            assert.deepEqual(fixture.sent, ["high", "normal 1", "normal 2", "low"]);
+        });
+
+        it("only sends a burst at once, then one message per interval", function(done) {
+            var fixture = createQueue({ burstSize: 2 });
+
+            fixture.queue.enqueue("1", ChatPriority.NORMAL);
+            fixture.queue.enqueue("2", ChatPriority.NORMAL);
+            fixture.queue.enqueue("3", ChatPriority.NORMAL);
+
+            assert.deepEqual(fixture.sent, ["1", "2"]);
+
+            setTimeout(function() {
+                assert.deepEqual(fixture.sent, ["1", "2", "3"]);
+                done();
+            }, 50);
+        });
+
+        it("sends each part of a long message", function() {
+            var fixture = createQueue({ maxMessageLength: 9 });
+
+            fixture.queue.enqueue("one two three", ChatPriority.NORMAL);
+
+            assert.deepEqual(fixture.sent, ["one two", "three"]);
+        });
+
+        it("resolves once every part of the message has been echoed back", function() {
+            var fixture = createQueue({ maxMessageLength: 9 });
+            var isDelivered = false;
+
+            var promise = fixture.queue.enqueue("one two three", ChatPriority.NORMAL).then(function(result) {
+                isDelivered = true;
+                return result;
+            });
+
+            fixture.queue.confirmDelivery("one two");
+
+            return Promise.resolve().then(function() {
+                assert.equal(isDelivered, false);
+                fixture.queue.confirmDelivery("three");
+                return promise;
+            }).then(function(result) {
+                assert.deepEqual(result.parts, ["one two", "three"]);
+                assert.equal(typeof result.deliveryDate, "number");
+            });
+        });
+
+        it("recognizes echoes which plug.dj has escaped, and emotes", function() {
+            var fixture = createQueue({});
+
+            var promises = [
+                fixture.queue.enqueue("<3 & \"quotes\"", ChatPriority.NORMAL),
+                fixture.queue.enqueue("/me dances", ChatPriority.NORMAL)
+            ];
+
+            fixture.queue.confirmDelivery("&lt;3 &amp; &quot;quotes&quot;");
+            fixture.queue.confirmDelivery("dances");
+
+            return Promise.all(promises);
+        });
+
+        it("rejects with an ActionError if the message isn't echoed back in time", function() {
+            var fixture = createQueue({ deliveryTimeoutInMilliseconds: 10 });
+
+            return fixture.queue.enqueue("hello?", ChatPriority.NORMAL).then(function() {
+                assert.fail("The message shouldn't have been delivered");
+            }, function(error) {
+                assert.ok(error instanceof ActionError);
+                assert.equal(error.reason, Types.ActionFailureReason.TIMEOUT);
+            });
+        });
+    });
+
+    describe("through a Bot", function() {
+        var harness;
+
+        beforeEach(function() {
+            return Testing.createHarness().then(function(createdHarness) {
+                harness = createdHarness;
+            });
+        });
+
+        afterEach(function() {
+            return harness.stop();
+        });
+
+        it("resolves sendChat once the room echoes the message", function() {
+            return harness.bot.sendChat("Hello {}", "world").then(function(result) {
+                assert.deepEqual(result.parts, ["Hello world"]);
+                assert.deepEqual(harness.getChatMessages(), ["Hello world"]);
+            });
+        });
+    });
+});
@@ -0,0 +1,174 @@
+"use strict";
+
+var assert = require("assert");
+
+var Log = require("../src/log");
+var Testing = require("../src/testing");
+var Types = require("../src/types");
+
+var ArgumentType = Types.ArgumentType;
+var UserRole = Types.UserRole;
+
+Log.configure({ level: "ERROR", sinks: [] });
+
+var ROOM = {
+    users: [
+        { id: 2, username: "alice", role: 0 },
+        { id: 3, username: "bob", role: 0 },
+        { id: 4, username: "Mary Jane", role: 0 },
+        { id: 5, username: "staff", role: 2 }
+    ]
+};
+
+/**
+ * Creates a command module which records each commandEvent it handles.
+ */
+function createCommand(triggers, properties) {
+    var command = {
+        triggers: triggers,
+        uses: [],
+        handler: function(commandEvent) {
+            command.uses.push(commandEvent);
+        }
+    };
+
+    for (var key in properties) {
+        command[key] = properties[key];
+    }
+
+    return command;
+}
+
+describe("Command handling", function() {
+    var harness;
+
+    afterEach(function() {
+        return harness.stop();
+    });
+
+    function start(commands) {
+        return Testing.createHarness({ commands: commands, room: ROOM }).then(function(createdHarness) {
+            harness = createdHarness;
+        });
+    }
+
+    describe("arguments", function() {
+        var command;
+
+        beforeEach(function() {
+            command = createCommand(["mute"], {
+                arguments: [
+                    { name: "target", type: ArgumentType.USER },
+                    { name: "duration", type: ArgumentType.DURATION, required: false },
+                    { name: "reason", type: ArgumentType.REST, required: false }
+                ]
+            });
+
+            return start([command]);
+        });
+
+        it("passes the parsed arguments to the handler", function() {
+            harness.chat(2, "!mute @bob 1h30m being rude again");
+
+            assert.equal(command.uses.length, 1);
+            assert.equal(command.uses[0].parsedArgs.target.userID, 3);
+            assert.equal(command.uses[0].parsedArgs.duration, 5400);
+            assert.equal(command.uses[0].parsedArgs.reason, "being rude again");
+        });
+
+        it("matches usernames which contain spaces", function() {
+            harness.chat(2, "!mute mary jane 5");
+
+            assert.equal(command.uses[0].parsedArgs.target.userID, 4);
+            assert.equal(command.uses[0].parsedArgs.duration, 300);
+        });
+
+        it("gives missing optional arguments as null", function() {
+            harness.chat(2, "!mute bob");
+
+            assert.strictEqual(command.uses[0].parsedArgs.duration, null);
+            assert.strictEqual(command.uses[0].parsedArgs.reason, null);
+        });
+
+        it("sends the usage instead of calling the handler when parsing fails", function() {
+            harness.chat(2, "!mute carol");
+            harness.chat(2, "!mute bob soon");
+            harness.chat(2, "!mute");
+
+            assert.equal(command.uses.length, 0);
+            assert.deepEqual(harness.getChatMessages(), [
+                "@alice Invalid target: nobody named 'carol' is in the room. Usage: !mute <target> [duration] [reason...]",
+                "@alice Invalid duration: 'soon' is not a duration (try something like 30s, 5m, 2h or 1d). Usage: !mute <target> [duration] [reason...]",
+                "@alice Missing argument: target. Usage: !mute <target> [duration] [reason...]"
+            ]);
+        });
+    });
+
+    describe("cooldowns", function() {
+        var cooldownReplies;
+
+        beforeEach(function() {
+            cooldownReplies = [];
+        });
+
+        function createCooledDownCommand(cooldown) {
+            return createCommand(["roll"], {
+                cooldown: cooldown,
+                cooldownHandler: function(commandEvent, globalObject, secondsRemaining) {
+                    cooldownReplies.push({ userID: commandEvent.userID, secondsRemaining: secondsRemaining });
+                }
+            });
+        }
+
+        it("stops anyone using a command during its global cooldown", function() {
+            var command = createCooledDownCommand({ global: 60 });
+
+            return start([command]).then(function() {
+                harness.chat(2, "!roll");
+                harness.chat(3, "!roll");
+
+                assert.equal(command.uses.length, 1);
+                assert.deepEqual(cooldownReplies, [{ userID: 3, secondsRemaining: 60 }]);
+            });
+        });
+
+        it("only stops the same user during a per-user cooldown", function() {
+            var command = createCooledDownCommand({ perUser: 60 });
+
+            return start([command]).then(function() {
+                harness.chat(2, "!roll");
+                harness.chat(3, "!roll");
+                harness.chat(2, "!roll");
+
+                assert.deepEqual(command.uses.map(function(use) { return use.userID; }), [2, 3]);
+                assert.deepEqual(cooldownReplies, [{ userID: 2, secondsRemaining: 60 }]);
+            });
+        });
+
+        it("lets users of the bypass role ignore cooldowns", function() {
+            var command = createCooledDownCommand({ global: 60, bypassRole: UserRole.BOUNCER });
+
+            return start([command]).then(function() {
+                harness.chat(2, "!roll");
+                harness.chat(5, "!roll");
+
+                assert.equal(command.uses.length, 2);
+                assert.deepEqual(cooldownReplies, []);
+            });
+        });
+
+        it("doesn't start a cooldown when the arguments can't be parsed", function() {
+            var command = createCooledDownCommand({ global: 60 });
+            command.arguments = [{ name: "sides", type: ArgumentType.INT }];
+
+            return start([command]).then(function() {
+                harness.chat(2, "!roll lots");
+                harness.chat(2, "!roll 6");
+
+                assert.equal(command.uses.length, 1);
+                assert.equal(command.uses[0].parsedArgs.sides, 6);
+                assert.deepEqual(cooldownReplies, []);
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var PlugBotBase = require("../main");
+
+// Until start() applies the configured log settings
+PlugBotBase.Log.configure({ level: "ERROR", sinks: [] });
+
+describe("start", function() {
+    var basedir;
+    var globalObject;
+
+    afterEach(function() {
+        fs.rmSync(basedir, { recursive: true, force: true });
+        return globalObject.stop();
+    });
+
+    /**
+     * Creates a base directory with the given config, which is merged over the
+     * required values, and command files.
+     */
+    function createBasedir(config, commandFiles) {
+        basedir = fs.mkdtempSync(path.join(os.tmpdir(), "plugbotbase-start-"));
+
+        var botConfig = {
+            botEmail: "test@example.com",
+            botPassword: "test",
+            logLevel: "ERROR",
+            logSinks: [],
+            roomJoinTimeoutInSeconds: 1,
+            roomName: "test-room"
+        };
+
+        for (var key in config) {
+            botConfig[key] = config[key];
+        }
+
+        fs.mkdirSync(path.join(basedir, "config"));
+        fs.writeFileSync(path.join(basedir, "config", "botConfig.json"), JSON.stringify({ PlugBotBase: botConfig }));
+
+        fs.mkdirSync(path.join(basedir, "commands"));
+        for (var fileName in commandFiles) {
+            fs.writeFileSync(path.join(basedir, "commands", fileName), commandFiles[fileName]);
+        }
+
+        return basedir;
+    }
+
+    /**
+     * Starts a bot, resolving to the error passed to connectionFailedCallback if startup fails.
+     */
+    function startAndWait(options) {
+        return new Promise(function(resolve, reject) {
+            options.connectionFailedCallback = resolve;
+
+            globalObject = PlugBotBase.start(basedir, function() {
+                reject(new Error("The bot shouldn't have started"));
+            }, options);
+        });
+    }
+
+    it("starts command modules once the room is joined", function() {
+        createBasedir({}, {
+            "hello.js": "exports.triggers = ['hello']; exports.handler = function(event, globalObject) { globalObject.bot.sendChat('Hello, {}!', event.username); };"
+        });
+
+        var room = new PlugBotBase.SimulatedRoom({ roomName: "test-room", users: [{ id: 2, username: "alice" }] });
+        globalObject = PlugBotBase.start(basedir, null, { simulatedRoom: room });
+
+        return globalObject.ready.then(function(readyGlobalObject) {
+            assert.strictEqual(readyGlobalObject, globalObject);
+
+            room.chat(2, "!hello");
+            return globalObject.bot.sendChat("done");
+        }).then(function() {
+            var botMessages = room.chatHistory.filter(function(chat) {
+                return chat.from.id === room.self.id;
+            }).map(function(chat) {
+                return chat.message;
+            });
+
+            assert.deepEqual(botMessages, ["Hello, alice!", "done"]);
+        });
+    });
+
+    it("fails the startup if the room isn't joined in time, even if disconnecting throws", function() {
+        this.timeout(5000);
+        createBasedir();
+
+        var transport = new PlugBotBase.PlugApiTransport(null, new PlugBotBase.SimulatedRoom({ roomName: "test-room" }));
+        var closeAttempts = 0;
+
+        transport.connect = function() {};
+        transport.close = function() {
+            // Fails as PlugAPI's does when its socket never opened, but only once, so that the bot can still be stopped
+            if (closeAttempts++ === 0) {
+                throw new TypeError("Cannot read properties of null (reading 'removeAllListeners')");
+            }
+        };
+
+        return startAndWait({ transport: transport }).then(function(error) {
+            assert.ok(/^Timed out after 1 seconds waiting to join the room/.test(error.message), error.message);
+            assert.equal(closeAttempts, 1);
+
+            return globalObject.ready.then(function() {
+                assert.fail("ready should have been rejected");
+            }, function(readyError) {
+                assert.strictEqual(readyError, error);
+            });
+        });
+    });
+
+    it("fails the startup if the StateTracker can't be initialized", function() {
+        createBasedir({ isRoomHistoryPersisted: true });
+
+        var storageBackend = {
+            load: function() {
+                throw new SyntaxError("Unexpected end of JSON input");
+            },
+            save: function(namespace, data, callback) {
+                callback(null);
+            }
+        };
+
+        return startAndWait({
+            simulatedRoom: new PlugBotBase.SimulatedRoom({ roomName: "test-room" }),
+            storageBackend: storageBackend
+        }).then(function(error) {
+            assert.equal(error.message, "Unexpected end of JSON input");
+
+            // Stopping must still work, even though the room history can't be saved
+            return globalObject.stop();
+        });
+    });
+});
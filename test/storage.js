@@ -0,0 +1,184 @@
+"use strict";
+
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+var FileStorageBackend = require("../src/file_storage_backend");
+var Log = require("../src/log");
+var Storage = require("../src/storage");
+
+Log.configure({ level: "ERROR", sinks: [] });
+
+/**
+ * A backend which records each save, and fails as many saves as failuresRemaining says to.
+ */
+function RecordingBackend(data) {
+    this.data = data || {};
+    this.loads = [];
+    this.saves = [];
+    this.failuresRemaining = 0;
+}
+
+RecordingBackend.prototype.load = function(namespace) {
+    this.loads.push(namespace);
+    return this.data[namespace] || null;
+};
+
+RecordingBackend.prototype.save = function(namespace, data, callback) {
+    var self = this;
+    this.saves.push({ namespace: namespace, data: data });
+
+    setImmediate(function() {
+        if (self.failuresRemaining > 0) {
+            self.failuresRemaining--;
+            callback(new Error("The disk is full"));
+            return;
+        }
+
+        self.data[namespace] = data;
+        callback(null);
+    });
+};
+
+function wait(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+}
+
+describe("Storage", function() {
+    describe("loading", function() {
+        it("loads each namespace from the backend the first time it's used", function() {
+            var backend = new RecordingBackend({ points: { alice: 3 } });
+            var storage = new Storage(backend, 10);
+
+            assert.equal(storage.namespace("points").get("alice"), 3);
+            assert.equal(storage.namespace("points").get("bob"), undefined);
+            assert.deepEqual(backend.loads, ["points"]);
+        });
+
+        it("copies values on the way in and out", function() {
+            var storage = new Storage(new RecordingBackend(), 10);
+            var namespace = storage.namespace("lists");
+            var list = [1, 2];
+
+            namespace.set("numbers", list);
+            list.push(3);
+            namespace.get("numbers").push(4);
+
+            assert.deepEqual(namespace.get("numbers"), [1, 2]);
+        });
+
+        it("throws if the backend can't load the namespace", function() {
+            var storage = new Storage({
+                load: function() {
+                    throw new Error("Unreadable");
+                },
+                save: function() {}
+            }, 10);
+
+            assert.throws(function() {
+                storage.namespace("broken");
+            }, /Unreadable/);
+        });
+    });
+
+    describe("flushing", function() {
+        it("saves once changes stop for the flush delay", function() {
+            var backend = new RecordingBackend();
+            var namespace = new Storage(backend, 20).namespace("points");
+
+            namespace.set("alice", 1);
+            namespace.set("alice", 2);
+
+            return wait(10).then(function() {
+                assert.equal(backend.saves.length, 0);
+                return wait(30);
+            }).then(function() {
+                assert.deepEqual(backend.saves, [{ namespace: "points", data: { alice: 2 } }]);
+            });
+        });
+
+        it("saves within the maximum flush delay, even while changes keep being made", function() {
+            var backend = new RecordingBackend();
+            var namespace = new Storage(backend, 30, 60).namespace("points");
+
+            var changes = 0;
+            var interval = setInterval(function() {
+                namespace.set("alice", ++changes);
+            }, 10);
+
+            return wait(100).then(function() {
+                clearInterval(interval);
+                assert.ok(backend.saves.length >= 1, "Expected a save while changes were being made");
+            });
+        });
+
+        it("saves everything right away when flushed", function() {
+            var backend = new RecordingBackend();
+            var storage = new Storage(backend, 10000);
+
+            storage.namespace("a").set("key", "value");
+            storage.namespace("b").delete("nothing");
+
+            return storage.flush().then(function() {
+                assert.deepEqual(backend.data, { a: { key: "value" } });
+            });
+        });
+
+        it("rejects a flush which fails, then tries again by itself", function() {
+            var backend = new RecordingBackend();
+            var storage = new Storage(backend, 10);
+            backend.failuresRemaining = 1;
+
+            storage.namespace("points").set("alice", 1);
+
+            return storage.flush().then(function() {
+                assert.fail("The flush should have failed");
+            }, function(error) {
+                assert.equal(error.message, "The disk is full");
+                return wait(40);
+            }).then(function() {
+                assert.equal(backend.saves.length, 2);
+                assert.deepEqual(backend.data, { points: { alice: 1 } });
+            });
+        });
+    });
+});
+
+describe("FileStorageBackend", function() {
+    var directory;
+    var backend;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "plugbotbase-storage-"));
+        backend = new FileStorageBackend(path.join(directory, "data"));
+    });
+
+    afterEach(function() {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("loads what it saved, creating the directory as needed", function(done) {
+        backend.save("fun/points", { alice: 3 }, function(error) {
+            assert.ifError(error);
+            assert.deepEqual(backend.load("fun/points"), { alice: 3 });
+            assert.strictEqual(backend.load("other"), null);
+            done();
+        });
+    });
+
+    it("moves a corrupt file aside and starts the namespace out empty", function() {
+        fs.mkdirSync(backend.directory);
+        fs.writeFileSync(path.join(backend.directory, "points.json"), "{ \"alice\": ");
+
+        assert.strictEqual(backend.load("points"), null);
+
+        var files = fs.readdirSync(backend.directory);
+        assert.equal(files.length, 1);
+        assert.ok(/^points\.json\.\d+\.corrupt$/.test(files[0]), "Unexpected file " + files[0]);
+        assert.equal(fs.readFileSync(path.join(backend.directory, files[0]), "utf8"), "{ \"alice\": ");
+    });
+});